@@ -0,0 +1,202 @@
+// Access log: one line per request, written when its response has finished.
+// Lines are JSON or Combined Log Format (Common Log Format plus referrer and
+// user agent, with the duration in milliseconds appended).
+//
+// Without a file, lines go to the console through the server's leveled logger.
+// With one, they are appended to it and the file is rotated by size and/or at
+// the start of each day or hour in the server's local time: access.log becomes
+// access.log.1, older copies move up one number and the oldest beyond maxFiles
+// is overwritten.
+
+const fs = require('fs');
+const { LOG_LEVELS } = require('./config');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Server errors log as errors, client errors as warnings, everything else as info
+function getAccessLevel(status) {
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'warn';
+    return 'info';
+}
+
+// 10/Oct/2026:13:55:36 +0000
+function formatClfDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+// Quoted CLF field; quotes, backslashes and control characters are escaped so a
+// crafted URL or user agent cannot forge extra fields or lines
+function quoteClf(value) {
+    const escaped = String(value)
+        .replace(/[\\"]/g, char => `\\${char}`)
+        .replace(/[\x00-\x1f\x7f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+    return `"${escaped}"`;
+}
+
+// Entry fields: time (Date), ip, method, url, httpVersion, status, bytes,
+// durationMs, referrer, userAgent and aborted (client left before the end)
+function formatAccessLine(format, entry) {
+    if (format === 'clf') {
+        const request = `${entry.method} ${entry.url} HTTP/${entry.httpVersion}`;
+        return `${entry.ip} - - [${formatClfDate(entry.time)}] ${quoteClf(request)} ${entry.status} ` +
+            `${entry.bytes || '-'} ${quoteClf(entry.referrer || '-')} ${quoteClf(entry.userAgent || '-')} ` +
+            `${entry.durationMs}`;
+    }
+
+    const line = {
+        time: entry.time.toISOString(),
+        level: getAccessLevel(entry.status),
+        ip: entry.ip,
+        method: entry.method,
+        url: entry.url,
+        httpVersion: entry.httpVersion,
+        status: entry.status,
+        bytes: entry.bytes,
+        durationMs: entry.durationMs,
+        referrer: entry.referrer || null,
+        userAgent: entry.userAgent || null
+    };
+    if (entry.aborted) line.aborted = true;
+    return JSON.stringify(line);
+}
+
+// Options: format, level (lowest level written), output (the server's leveled
+// logger, used without a file or if the file fails) and, for file output, file,
+// maxBytes (0 for no size limit), rotate ('none', 'hourly' or 'daily') and maxFiles.
+// File work is asynchronous: lines written while the file is being opened or
+// rotated wait in a queue and are appended in order once it is ready.
+function createAccessLogger(options) {
+    const { format, level, output, file, maxBytes, rotate, maxFiles } = options;
+    const minLevel = LOG_LEVELS.indexOf(level);
+
+    let stream = null;
+    let size = 0;
+    let period = null;
+    let busy = false;
+    let onClosed = null;
+    const queue = [];
+
+    // The rotation period a moment falls in, in the server's local time,
+    // e.g. "2026-10-19" for daily rotation or "2026-10-19T13" for hourly
+    function periodOf(time) {
+        const pad = (number) => String(number).padStart(2, '0');
+        const day = `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+        if (rotate === 'daily') return day;
+        if (rotate === 'hourly') return `${day}T${pad(time.getHours())}`;
+        return null;
+    }
+
+    function open(now, callback) {
+        fs.stat(file, (statError, existing) => {
+            size = statError ? 0 : existing.size;
+            // An existing file belongs to the period it was last written in
+            period = periodOf(statError ? now : existing.mtime);
+
+            fs.open(file, 'a', (openError, fd) => {
+                if (openError) {
+                    output.error(`Access log ${file} could not be opened, logging to the console instead: ${openError.message}`);
+                    return callback();
+                }
+                const opened = fs.createWriteStream(null, { fd });
+                opened.on('error', (error) => {
+                    output.error(`Access log ${file} failed, logging to the console instead: ${error.message}`);
+                    // A stream closed by rotation must not take its replacement down with it
+                    if (stream === opened) stream = null;
+                });
+                stream = opened;
+                callback();
+            });
+        });
+    }
+
+    // access.log.N -> access.log.N+1 from the oldest down, then access.log -> access.log.1
+    function rotateFile(now, callback) {
+        stream.end();
+        stream = null;
+
+        const shift = (index) => {
+            if (index === 0) {
+                return fs.rename(file, `${file}.1`, (error) => {
+                    if (error) output.error(`Access log rotation failed: ${error.message}`);
+                    open(now, callback);
+                });
+            }
+            fs.rename(`${file}.${index}`, `${file}.${index + 1}`, (error) => {
+                if (error && error.code !== 'ENOENT') output.error(`Access log rotation failed: ${error.message}`);
+                shift(index - 1);
+            });
+        };
+        shift(maxFiles - 1);
+    }
+
+    // Run a file operation; queued lines resume once it is done
+    function whileBusy(operation) {
+        busy = true;
+        operation(() => {
+            busy = false;
+            drain();
+        });
+    }
+
+    // Append queued lines until one needs a new file
+    function drain() {
+        while (!busy && queue.length > 0) {
+            const item = queue[0];
+            if (!stream) {
+                // The file could not be opened; open() has already reported why
+                queue.shift();
+                output[item.level](item.line);
+                continue;
+            }
+
+            const tooBig = maxBytes > 0 && size > 0 && size + item.bytes > maxBytes;
+            if (tooBig || periodOf(item.time) !== period) {
+                whileBusy(done => rotateFile(item.time, done));
+                return;
+            }
+
+            queue.shift();
+            stream.write(`${item.line}\n`);
+            size += item.bytes;
+        }
+        if (!busy && onClosed) finishClose();
+    }
+
+    function write(entry) {
+        if (format === 'off') return;
+        const entryLevel = getAccessLevel(entry.status);
+        const line = formatAccessLine(format, entry);
+
+        if (!stream && !busy) {
+            output[entryLevel](line);
+            return;
+        }
+        if (LOG_LEVELS.indexOf(entryLevel) < minLevel) return;
+
+        queue.push({ line, level: entryLevel, time: entry.time, bytes: Buffer.byteLength(line) + 1 });
+        drain();
+    }
+
+    function finishClose() {
+        const callback = onClosed;
+        onClosed = null;
+        if (!stream) return callback();
+        stream.end(callback);
+        stream = null;
+    }
+
+    // Flush queued lines and close the file; callback runs once everything is written
+    function close(callback) {
+        onClosed = callback;
+        if (!busy) finishClose();
+    }
+
+    if (file && format !== 'off') whileBusy(done => open(new Date(), done));
+
+    return { write, close };
+}
+
+module.exports = { getAccessLevel, formatAccessLine, createAccessLogger };
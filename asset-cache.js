@@ -0,0 +1,213 @@
+// In-memory cache of static files, keyed by full path. Each entry holds the raw
+// bytes plus Brotli and gzip copies for compressible types, so repeat requests
+// skip the disk and the compressor. Pre-built sidecars next to a file
+// (styles.css.br, styles.css.gz) are used instead of compressing, unless they
+// are older than the file itself.
+//
+// Entries are dropped when fs.watch reports a change to the file or one of its
+// sidecars. Where watching is unavailable the file's mtime and size are checked
+// on every lookup instead. A sidecar added later is picked up once its file
+// changes or the server restarts.
+// Least recently used entries are evicted to stay under the memory cap; a cap of
+// 0 turns caching off.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Cached copies are compressed once, so they use the strongest settings
+const SIDECAR_EXTENSIONS = { br: '.br', gzip: '.gz' };
+const PRECOMPRESSORS = {
+    br: (data, callback) => zlib.brotliCompress(data, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    }, callback),
+    gzip: (data, callback) => zlib.gzip(data, { level: zlib.constants.Z_BEST_COMPRESSION }, callback)
+};
+
+// Short content hash, the basis of the server's ETags
+function hashContent(data) {
+    return crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+}
+
+// Options: maxBytes (memory cap), shouldCompress(fullPath, size) and watch (default true)
+function createAssetCache(options) {
+    const maxBytes = options.maxBytes;
+    const shouldCompress = options.shouldCompress || (() => false);
+    const watchFiles = options.watch !== false;
+
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+    let totalBytes = 0;
+
+    function remove(fullPath) {
+        const entry = entries.get(fullPath);
+        if (!entry) return;
+        entry.watchers.forEach(watcher => watcher.close());
+        totalBytes -= entry.bytes;
+        entries.delete(fullPath);
+    }
+
+    function invalidate(fullPath) {
+        if (!entries.has(fullPath)) return;
+        stats.invalidations++;
+        remove(fullPath);
+    }
+
+    function store(fullPath, entry) {
+        if (entry.bytes > maxBytes) {
+            entry.watchers.forEach(watcher => watcher.close());
+            return;
+        }
+        // Two concurrent misses for one file both load it; the later copy wins
+        remove(fullPath);
+        entries.set(fullPath, entry);
+        totalBytes += entry.bytes;
+
+        // Map iteration order is insertion order, so the first key is the least recently used
+        while (totalBytes > maxBytes) {
+            const oldest = entries.keys().next().value;
+            stats.evictions++;
+            remove(oldest);
+        }
+    }
+
+    function watch(fullPath, onChange) {
+        if (!watchFiles) return null;
+        try {
+            const watcher = fs.watch(fullPath, { persistent: false }, onChange);
+            watcher.on('error', onChange);
+            return watcher;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Read a sidecar if it is a file at least as new as its source; callback(data or null)
+    function readSidecar(sidecarPath, sourceStat, callback) {
+        fs.stat(sidecarPath, (err, stat) => {
+            if (err || !stat.isFile() || stat.mtimeMs < sourceStat.mtimeMs) return callback(null);
+            fs.readFile(sidecarPath, (err, data) => callback(err ? null : data));
+        });
+    }
+
+    // Read a file and its compressed variants; callback(err, entry)
+    function load(fullPath, stat, callback) {
+        // Watch before reading so a change made mid-read still discards the result
+        let changed = false;
+        const onChange = () => {
+            changed = true;
+            invalidate(fullPath);
+        };
+        const watcher = watch(fullPath, onChange);
+        const watchers = watcher ? [watcher] : [];
+        const fail = (error) => {
+            watchers.forEach(w => w.close());
+            callback(error);
+        };
+
+        fs.readFile(fullPath, (err, data) => {
+            if (err) return fail(err);
+
+            const entry = {
+                data,
+                hash: hashContent(data),
+                encoded: {},
+                lastModified: stat.mtime,
+                mtimeMs: stat.mtimeMs,
+                size: stat.size,
+                bytes: data.length,
+                watched: Boolean(watcher),
+                watchers
+            };
+            const fits = () => maxBytes > 0 && entry.bytes <= maxBytes;
+            const finish = () => {
+                if (!changed && maxBytes > 0) {
+                    store(fullPath, entry);
+                } else {
+                    watchers.forEach(w => w.close());
+                }
+                callback(null, entry);
+            };
+
+            // Fill in each encoding in turn, from a sidecar or the compressor
+            const encodings = Object.keys(PRECOMPRESSORS);
+            const next = (index) => {
+                if (index === encodings.length) return finish();
+                const encoding = encodings[index];
+                const add = (encodedData) => {
+                    if (encodedData) {
+                        entry.encoded[encoding] = encodedData;
+                        entry.bytes += encodedData.length;
+                    }
+                    next(index + 1);
+                };
+
+                const sidecarPath = fullPath + SIDECAR_EXTENSIONS[encoding];
+                readSidecar(sidecarPath, stat, (sidecar) => {
+                    if (sidecar) {
+                        const sidecarWatcher = watch(sidecarPath, onChange);
+                        if (sidecarWatcher) watchers.push(sidecarWatcher);
+                        return add(sidecar);
+                    }
+                    // Max-quality compression only pays off for an entry that will be
+                    // kept; otherwise the server compresses per request instead
+                    if (!fits() || !shouldCompress(fullPath, data.length)) return add(null);
+                    PRECOMPRESSORS[encoding](data, (err, compressed) => add(err ? null : compressed));
+                });
+            };
+            next(0);
+        });
+    }
+
+    // Look up a regular file; callback(err, entry, hit) with entry.data, entry.hash,
+    // entry.encoded ({ br, gzip }, either missing when not available) and entry.lastModified
+    function get(fullPath, callback) {
+        const cached = entries.get(fullPath);
+        if (cached && cached.watched) {
+            // Move to the most recently used end
+            entries.delete(fullPath);
+            entries.set(fullPath, cached);
+            stats.hits++;
+            callback(null, cached, true);
+            return;
+        }
+
+        fs.stat(fullPath, (err, stat) => {
+            if (err) return callback(err);
+            if (!stat.isFile()) {
+                const error = new Error(`${fullPath} is not a file`);
+                error.code = 'EISDIR';
+                return callback(error);
+            }
+
+            const current = entries.get(fullPath);
+            if (current && current.mtimeMs === stat.mtimeMs && current.size === stat.size) {
+                entries.delete(fullPath);
+                entries.set(fullPath, current);
+                stats.hits++;
+                callback(null, current, true);
+                return;
+            }
+
+            if (current) invalidate(fullPath);
+            stats.misses++;
+            load(fullPath, stat, (err, entry) => callback(err, entry, false));
+        });
+    }
+
+    function getStats() {
+        return { ...stats, entries: entries.size, bytes: totalBytes, maxBytes };
+    }
+
+    // Drop every entry and stop watching
+    function clear() {
+        Array.from(entries.keys()).forEach(remove);
+    }
+
+    return { get, invalidate, getStats, clear };
+}
+
+module.exports = { createAssetCache, hashContent };
@@ -0,0 +1,337 @@
+// Server configuration. Each setting comes from the first source that has it:
+// CLI flags, then environment variables, then a JSON config file, then defaults.
+//
+//   CLI flag               Environment variable    Config file key            Default
+//   --port                 PORT                    port                       8000
+//   --host                 HOST                    host                       0.0.0.0
+//   --root                 DOCUMENT_ROOT           root                       this directory
+//   --rate-limit-window    RATE_LIMIT_WINDOW_MS    rateLimit.windowMs         60000
+//   --rate-limit-max       RATE_LIMIT_MAX          rateLimit.maxRequests      100
+//   --max-streams-per-ip   MAX_STREAMS_PER_IP      rateLimit.maxStreamsPerIp  5
+//   --max-streams          MAX_STREAMS             rateLimit.maxStreams       200 (all clients together)
+//   --csp                  CSP_OVERRIDES           csp                        (none)
+//   --static-max-age       CACHE_STATIC_MAX_AGE    cache.staticMaxAge         31536000
+//   --feed-max-age         CACHE_FEED_MAX_AGE      cache.feedMaxAge           3600
+//   --asset-cache-size     ASSET_CACHE_MAX_BYTES   cache.assetMaxBytes        16777216 (0 disables)
+//   --log-level            LOG_LEVEL               logging.level              info
+//   --tls-cert             TLS_CERT_FILE           tls.cert                   (none)
+//   --tls-key              TLS_KEY_FILE            tls.key                    (none)
+//   --redirect-port        HTTP_REDIRECT_PORT      tls.redirectPort           0 (off)
+//   --hsts-max-age         HSTS_MAX_AGE            tls.hstsMaxAge             31536000
+//   --access-log-format    ACCESS_LOG_FORMAT       accessLog.format           json (json, clf or off)
+//   --access-log-file      ACCESS_LOG_FILE         accessLog.file             (console)
+//   --access-log-max-bytes ACCESS_LOG_MAX_BYTES    accessLog.maxBytes         10485760 (0 for no limit)
+//   --access-log-rotate    ACCESS_LOG_ROTATE       accessLog.rotate           daily (none, hourly or daily)
+//   --access-log-max-files ACCESS_LOG_MAX_FILES    accessLog.maxFiles         7
+//
+// The config file is named with --config or CONFIG_FILE. CSP overrides replace
+// individual directives of the default policy: on the command line and in the
+// environment as "img-src 'self' https:; connect-src 'self'", in the file as
+// { "img-src": "'self' https:" }.
+//
+// Setting a certificate and key serves HTTPS on the main port; the redirect port
+// then optionally listens for plain HTTP and sends visitors to HTTPS.
+//
+// Access log lines are filtered by the log level like other messages: failed
+// requests log as warnings (4xx) or errors (5xx). Size and time rotation only
+// apply when logging to a file; hourly and daily rotation follow the server's
+// local time.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const ACCESS_LOG_FORMATS = ['json', 'clf', 'off'];
+const ROTATE_INTERVALS = ['none', 'hourly', 'daily'];
+
+const DEFAULT_CSP = {
+    'default-src': "'self'",
+    'script-src': "'self'",
+    'style-src': "'self' 'unsafe-inline'",
+    'img-src': "'self' data:",
+    'font-src': "'self'",
+    'connect-src': "'self'",
+    'frame-ancestors': "'none'"
+};
+
+// Parsers take a CLI/env string or a config file value and return { value } or { error }
+function integerInRange(min, max) {
+    return (raw) => {
+        const value = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? Number(raw) : raw;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `must be a whole number from ${min} to ${max}` };
+        }
+        return { value };
+    };
+}
+
+function parseHost(raw) {
+    if (typeof raw !== 'string' || !/^[A-Za-z0-9.:-]+$/.test(raw.trim())) {
+        return { error: 'must be a host name or IP address' };
+    }
+    return { value: raw.trim() };
+}
+
+function parseDirectory(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) return { error: 'must be a directory path' };
+    const directory = path.resolve(raw.trim());
+    try {
+        if (!fs.statSync(directory).isDirectory()) return { error: `${directory} is not a directory` };
+    } catch (error) {
+        return { error: `${directory} does not exist` };
+    }
+    return { value: directory };
+}
+
+function parseFile(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) return { error: 'must be a file path' };
+    const file = path.resolve(raw.trim());
+    try {
+        if (!fs.statSync(file).isFile()) return { error: `${file} is not a file` };
+    } catch (error) {
+        return { error: `${file} does not exist` };
+    }
+    return { value: file };
+}
+
+function parseCspOverrides(raw) {
+    let entries;
+    if (typeof raw === 'string') {
+        entries = raw.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const space = part.indexOf(' ');
+            return space === -1 ? [part, ''] : [part.slice(0, space), part.slice(space + 1).trim()];
+        });
+    } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+        entries = Object.entries(raw);
+    } else {
+        return { error: 'must be a policy string or an object of directives' };
+    }
+
+    const overrides = {};
+    for (const [directive, value] of entries) {
+        if (!/^[a-z][a-z-]*$/.test(directive)) return { error: `"${directive}" is not a CSP directive name` };
+        if (typeof value !== 'string' || !value || /[;,\r\n]/.test(value)) {
+            return { error: `the ${directive} directive needs a value without ";", "," or line breaks` };
+        }
+        overrides[directive] = value;
+    }
+    return { value: overrides };
+}
+
+function oneOf(values) {
+    return (raw) => {
+        if (!values.includes(raw)) return { error: `must be one of ${values.join(', ')}` };
+        return { value: raw };
+    };
+}
+
+// A file that may not exist yet, in a directory that does
+function parseLogFile(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) return { error: 'must be a file path' };
+    const file = path.resolve(raw.trim());
+    const directory = path.dirname(file);
+    try {
+        if (!fs.statSync(directory).isDirectory()) return { error: `${directory} is not a directory` };
+    } catch (error) {
+        return { error: `${directory} does not exist` };
+    }
+    try {
+        if (fs.statSync(file).isDirectory()) return { error: `${file} is a directory` };
+    } catch (error) {
+        // Not created yet
+    }
+    return { value: file };
+}
+
+// Every setting, keyed by its path in the config object (and the config file)
+const SETTINGS = [
+    { key: 'port', flag: '--port', env: 'PORT', parse: integerInRange(1, 65535), default: 8000 },
+    { key: 'host', flag: '--host', env: 'HOST', parse: parseHost, default: '0.0.0.0' },
+    { key: 'root', flag: '--root', env: 'DOCUMENT_ROOT', parse: parseDirectory, default: __dirname },
+    {
+        key: 'rateLimit.windowMs', flag: '--rate-limit-window', env: 'RATE_LIMIT_WINDOW_MS',
+        parse: integerInRange(1000, 86400000), default: 60000
+    },
+    {
+        key: 'rateLimit.maxRequests', flag: '--rate-limit-max', env: 'RATE_LIMIT_MAX',
+        parse: integerInRange(1, 1000000), default: 100
+    },
+    {
+        key: 'rateLimit.maxStreamsPerIp', flag: '--max-streams-per-ip', env: 'MAX_STREAMS_PER_IP',
+        parse: integerInRange(1, 1000), default: 5
+    },
+    {
+        key: 'rateLimit.maxStreams', flag: '--max-streams', env: 'MAX_STREAMS',
+        parse: integerInRange(1, 100000), default: 200
+    },
+    { key: 'csp', flag: '--csp', env: 'CSP_OVERRIDES', parse: parseCspOverrides, default: {} },
+    {
+        key: 'cache.staticMaxAge', flag: '--static-max-age', env: 'CACHE_STATIC_MAX_AGE',
+        parse: integerInRange(0, 31536000), default: 31536000
+    },
+    {
+        key: 'cache.feedMaxAge', flag: '--feed-max-age', env: 'CACHE_FEED_MAX_AGE',
+        parse: integerInRange(0, 86400), default: 3600
+    },
+    {
+        key: 'cache.assetMaxBytes', flag: '--asset-cache-size', env: 'ASSET_CACHE_MAX_BYTES',
+        parse: integerInRange(0, 1073741824), default: 16777216
+    },
+    { key: 'logging.level', flag: '--log-level', env: 'LOG_LEVEL', parse: oneOf(LOG_LEVELS), default: 'info' },
+    { key: 'tls.cert', flag: '--tls-cert', env: 'TLS_CERT_FILE', parse: parseFile, default: null },
+    { key: 'tls.key', flag: '--tls-key', env: 'TLS_KEY_FILE', parse: parseFile, default: null },
+    {
+        key: 'tls.redirectPort', flag: '--redirect-port', env: 'HTTP_REDIRECT_PORT',
+        parse: integerInRange(0, 65535), default: 0
+    },
+    {
+        key: 'tls.hstsMaxAge', flag: '--hsts-max-age', env: 'HSTS_MAX_AGE',
+        parse: integerInRange(0, 63072000), default: 31536000
+    },
+    {
+        key: 'accessLog.format', flag: '--access-log-format', env: 'ACCESS_LOG_FORMAT',
+        parse: oneOf(ACCESS_LOG_FORMATS), default: 'json'
+    },
+    { key: 'accessLog.file', flag: '--access-log-file', env: 'ACCESS_LOG_FILE', parse: parseLogFile, default: null },
+    {
+        key: 'accessLog.maxBytes', flag: '--access-log-max-bytes', env: 'ACCESS_LOG_MAX_BYTES',
+        parse: integerInRange(0, 1073741824), default: 10485760
+    },
+    {
+        key: 'accessLog.rotate', flag: '--access-log-rotate', env: 'ACCESS_LOG_ROTATE',
+        parse: oneOf(ROTATE_INTERVALS), default: 'daily'
+    },
+    {
+        key: 'accessLog.maxFiles', flag: '--access-log-max-files', env: 'ACCESS_LOG_MAX_FILES',
+        parse: integerInRange(1, 100), default: 7
+    }
+];
+
+// Split argv into { flags, errors }, accepting "--name value" and "--name=value"
+function parseArgs(argv) {
+    const known = new Set(['--config', ...SETTINGS.map(setting => setting.flag)]);
+    const flags = {};
+    const errors = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inlineValue] = argv[i].split(/=(.*)/s);
+        if (!known.has(name)) {
+            errors.push(`Unknown option ${name}`);
+            continue;
+        }
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+            errors.push(`Option ${name} needs a value`);
+            if (value !== undefined) i--;
+            continue;
+        }
+        flags[name] = value;
+    }
+    return { flags, errors };
+}
+
+// Flatten a config file object to { 'rateLimit.windowMs': value, ... }, reporting unknown keys
+function flattenConfigFile(data, errors) {
+    const values = {};
+    const walk = (object, prefix) => {
+        for (const [name, value] of Object.entries(object)) {
+            const key = prefix + name;
+            if (SETTINGS.some(setting => setting.key === key)) {
+                values[key] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+                SETTINGS.some(setting => setting.key.startsWith(key + '.'))) {
+                walk(value, key + '.');
+            } else {
+                errors.push(`Unknown setting "${key}" in the config file`);
+            }
+        }
+    };
+    walk(data, '');
+    return values;
+}
+
+function readConfigFile(file, errors) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(error.code === 'ENOENT'
+            ? `Config file ${file} does not exist`
+            : `Config file ${file} could not be read: ${error.message}`);
+        return {};
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`Config file ${file} must contain a JSON object`);
+        return {};
+    }
+    return flattenConfigFile(data, errors);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    let target = object;
+    parts.slice(0, -1).forEach(part => {
+        target[part] = target[part] || {};
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+}
+
+function buildCspHeader(overrides) {
+    return Object.entries({ ...DEFAULT_CSP, ...overrides })
+        .map(([directive, value]) => `${directive} ${value}`)
+        .join('; ');
+}
+
+// Resolve the configuration; returns { config } or { errors } listing every problem
+function loadConfig(argv, env) {
+    const { flags, errors } = parseArgs(argv);
+
+    const configFile = flags['--config'] || env.CONFIG_FILE;
+    const fileValues = configFile ? readConfigFile(path.resolve(configFile), errors) : {};
+
+    const config = {};
+    SETTINGS.forEach(setting => {
+        let raw = setting.default;
+        let source = 'default';
+        if (flags[setting.flag] !== undefined) {
+            raw = flags[setting.flag];
+            source = setting.flag;
+        } else if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            raw = env[setting.env];
+            source = setting.env;
+        } else if (fileValues[setting.key] !== undefined) {
+            raw = fileValues[setting.key];
+            source = `${setting.key} in ${configFile}`;
+        }
+
+        if (source === 'default') {
+            setPath(config, setting.key, raw);
+            return;
+        }
+        const result = setting.parse(raw);
+        if (result.error) {
+            errors.push(`Invalid ${setting.key} ${JSON.stringify(raw)} from ${source}: ${result.error}`);
+            return;
+        }
+        setPath(config, setting.key, result.value);
+    });
+
+    // Settings that only make sense together
+    if (errors.length === 0) {
+        if (Boolean(config.tls.cert) !== Boolean(config.tls.key)) {
+            errors.push('HTTPS needs both tls.cert and tls.key');
+        } else if (config.tls.redirectPort && !config.tls.cert) {
+            errors.push('tls.redirectPort redirects to HTTPS, so it needs tls.cert and tls.key');
+        } else if (config.tls.redirectPort === config.port) {
+            errors.push(`tls.redirectPort and port cannot both be ${config.port}`);
+        }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    config.contentSecurityPolicy = buildCspHeader(config.csp);
+    return { config };
+}
+
+module.exports = { LOG_LEVELS, ACCESS_LOG_FORMATS, ROTATE_INTERVALS, DEFAULT_CSP, loadConfig };
@@ -0,0 +1,706 @@
+// Pure date, countdown and calendar logic shared by the page (script.js) and server.js.
+// In the browser every export becomes a global, so script.js calls these
+// functions directly; Node gets them through require('./countdown-core').
+(function (root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        Object.assign(root, core);
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    const DAY_MS = 1000 * 60 * 60 * 24;
+
+    // =========================================================================
+    // Time zone helpers (Intl-based, no external data)
+    // =========================================================================
+
+    const zonedFormatters = new Map();
+
+    function isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Wall-clock fields of an instant in a time zone (month is 1-based)
+    function getZonedParts(date, timeZone) {
+        let formatter = zonedFormatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+            zonedFormatters.set(timeZone, formatter);
+        }
+
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        // Some engines report midnight as hour 24
+        if (parts.hour === 24) parts.hour = 0;
+        return parts;
+    }
+
+    // Milliseconds the zone is ahead of UTC at the given instant
+    function getTimeZoneOffset(date, timeZone) {
+        const p = getZonedParts(date, timeZone);
+        const wallTime = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    // Convert a wall-clock time in a zone to an instant
+    function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+        const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+        const firstGuess = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone);
+        // Re-check the offset at the guess in case a DST change lies in between
+        return new Date(wallTime - getTimeZoneOffset(new Date(firstGuess), timeZone));
+    }
+
+    // Parse a date or datetime-local input value (seconds optional) as wall-clock time in a zone
+    function parseZonedInput(value, timeZone) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+        if (!match) return new Date(NaN);
+        const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+
+        // Date.UTC rolls out-of-range fields over (Feb 31 -> Mar 3) and reads years
+        // 0-99 as 1900-1999, so only values that come back unchanged are accepted
+        const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+            check.getUTCHours() !== hour || check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+            return new Date(NaN);
+        }
+
+        const date = zonedTimeToDate(year, month, day, hour, minute, timeZone);
+        // Offsets change on whole minutes, so seconds can be added after the conversion
+        return new Date(date.getTime() + second * 1000);
+    }
+
+    // Wall-clock milliseconds of an instant in a zone, as if that wall time were UTC
+    function toWallTime(date, timeZone) {
+        const p = getZonedParts(date, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, date.getMilliseconds());
+    }
+
+    // Format a date as YYYY-MM-DD, in the given time zone or the local one
+    function formatDateOnlyForInput(date, timeZone) {
+        const parts = timeZone ? getZonedParts(date, timeZone) : {
+            year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate()
+        };
+        const month = String(parts.month).padStart(2, '0');
+        const day = String(parts.day).padStart(2, '0');
+        return `${parts.year}-${month}-${day}`;
+    }
+
+    // Format a date as YYYY-MM-DDTHH:MM, in the given time zone or the local one
+    function formatDateForInput(date, timeZone) {
+        const parts = timeZone ? getZonedParts(date, timeZone) : {
+            year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+            hour: date.getHours(), minute: date.getMinutes()
+        };
+        const month = String(parts.month).padStart(2, '0');
+        const day = String(parts.day).padStart(2, '0');
+        const hours = String(parts.hour).padStart(2, '0');
+        const minutes = String(parts.minute).padStart(2, '0');
+        return `${parts.year}-${month}-${day}T${hours}:${minutes}`;
+    }
+
+    // Local-midnight Date carrying the calendar day an instant falls on in a zone
+    function getZonedCalendarDate(date, timeZone) {
+        const p = getZonedParts(date, timeZone);
+        return new Date(p.year, p.month - 1, p.day);
+    }
+
+    function toDateKey(date) {
+        return formatDateOnlyForInput(date);
+    }
+
+    function parseDateKey(key) {
+        return new Date(key + 'T00:00:00');
+    }
+
+    function isValidDateKey(key) {
+        // Round-trip so impossible days such as 2026-02-31 are rejected rather than rolled over
+        return typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key) && !isNaN(parseDateKey(key).getTime()) &&
+            toDateKey(parseDateKey(key)) === key;
+    }
+
+    // =========================================================================
+    // Countdown calculations
+    // =========================================================================
+
+    // The page's out-of-the-box countdown, as local wall-clock input values
+    const DEFAULT_COUNTDOWN_NAME = 'My Retirement';
+    const DEFAULT_RETIREMENT_DATE_INPUT = '2026-02-27T16:00';
+    const DEFAULT_START_DATE_INPUT = '2018-10-01T00:00';
+
+    // The furthest retirement date accepted: further out is almost certainly a typo,
+    // and every day up to it is walked when counting work days
+    const MAX_YEARS_AHEAD = 50;
+
+    function getLatestRetirementDate(now) {
+        const latest = new Date(now);
+        latest.setFullYear(latest.getFullYear() + MAX_YEARS_AHEAD);
+        return latest;
+    }
+
+    const TOO_FAR_AHEAD_ERROR = `Retirement date cannot be more than ${MAX_YEARS_AHEAD} years in the future`;
+
+    // Days, hours, minutes and seconds between two instants as a wall clock in the zone
+    // would show them, so a DST change never adds or drops an hour from the day count
+    function getCountdownParts(now, target, timeZone) {
+        const wallDiff = Math.max(0, toWallTime(target, timeZone) - toWallTime(now, timeZone));
+        const totalSeconds = Math.floor(wallDiff / 1000);
+        return {
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor(totalSeconds / 3600) % 24,
+            minutes: Math.floor(totalSeconds / 60) % 60,
+            seconds: totalSeconds % 60
+        };
+    }
+
+    // Wall time at which the countdown first shows the given number of whole days left
+    function getDaysLeftWallTime(retirementDate, timeZone, daysLeft) {
+        return toWallTime(retirementDate, timeZone) - (daysLeft + 1) * DAY_MS;
+    }
+
+    // Shared progress calculation to avoid duplication
+    function calculateProgress(now, retirement, start) {
+        const totalTime = retirement - start;
+        const elapsed = now - start;
+        const percentage = Math.max(0, Math.min(100, (elapsed / totalTime) * 100));
+        return { totalTime, elapsed, percentage };
+    }
+
+    // =========================================================================
+    // Holidays and work schedules
+    // =========================================================================
+
+    // Built-in holiday rule sets. Month is 0-based; nth -1 means "last".
+    // Fixed-date holidays with observed: true shift Saturday -> Friday, Sunday -> Monday.
+    const HOLIDAY_RULE_SETS = {
+        'none': { name: 'None', rules: [] },
+        'us-federal': {
+            name: 'US Federal Holidays',
+            rules: [
+                { name: "New Year's Day", month: 0, day: 1, observed: true },
+                { name: 'Martin Luther King Jr. Day', month: 0, weekday: 1, nth: 3 },
+                { name: "Washington's Birthday", month: 1, weekday: 1, nth: 3 },
+                { name: 'Memorial Day', month: 4, weekday: 1, nth: -1 },
+                { name: 'Juneteenth', month: 5, day: 19, observed: true },
+                { name: 'Independence Day', month: 6, day: 4, observed: true },
+                { name: 'Labor Day', month: 8, weekday: 1, nth: 1 },
+                { name: 'Columbus Day', month: 9, weekday: 1, nth: 2 },
+                { name: 'Veterans Day', month: 10, day: 11, observed: true },
+                { name: 'Thanksgiving Day', month: 10, weekday: 4, nth: 4 },
+                { name: 'Christmas Day', month: 11, day: 25, observed: true }
+            ]
+        },
+        'us-business': {
+            name: 'US Common Business Holidays',
+            rules: [
+                { name: "New Year's Day", month: 0, day: 1, observed: true },
+                { name: 'Memorial Day', month: 4, weekday: 1, nth: -1 },
+                { name: 'Independence Day', month: 6, day: 4, observed: true },
+                { name: 'Labor Day', month: 8, weekday: 1, nth: 1 },
+                { name: 'Thanksgiving Day', month: 10, weekday: 4, nth: 4 },
+                { name: 'Day after Thanksgiving', month: 10, weekday: 4, nth: 4, offset: 1 },
+                { name: 'Christmas Day', month: 11, day: 25, observed: true }
+            ]
+        }
+    };
+
+    // Find the nth weekday of a month (nth -1 finds the last one)
+    function nthWeekdayOfMonth(year, month, weekday, nth) {
+        if (nth < 0) {
+            const last = new Date(year, month + 1, 0);
+            last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+            return last;
+        }
+        const first = new Date(year, month, 1);
+        const offset = (weekday - first.getDay() + 7) % 7;
+        return new Date(year, month, 1 + offset + (nth - 1) * 7);
+    }
+
+    function getRuleSetHolidays(ruleSetId, year) {
+        const ruleSet = HOLIDAY_RULE_SETS[ruleSetId];
+        if (!ruleSet) return [];
+
+        return ruleSet.rules.map(rule => {
+            let date;
+            if (rule.weekday !== undefined) {
+                date = nthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth);
+            } else {
+                date = new Date(year, rule.month, rule.day);
+                if (rule.observed && date.getDay() === 6) date.setDate(date.getDate() - 1);
+                if (rule.observed && date.getDay() === 0) date.setDate(date.getDate() + 1);
+            }
+            if (rule.offset) date.setDate(date.getDate() + rule.offset);
+            return { date, name: rule.name };
+        });
+    }
+
+    // Collect every day off in [start, end) for a { ruleSet, custom } calendar as a
+    // Map of date key -> label
+    function collectDaysOff(start, end, calendar) {
+        const days = new Map();
+        const addDay = (date, label) => {
+            if (date >= start && date < end && !days.has(toDateKey(date))) {
+                days.set(toDateKey(date), label);
+            }
+        };
+
+        // Observed New Year's Day can fall in the previous year, so look one year ahead
+        for (let year = start.getFullYear(); year <= end.getFullYear() + 1; year++) {
+            getRuleSetHolidays(calendar.ruleSet, year).forEach(h => addDay(h.date, h.name));
+        }
+
+        calendar.custom.forEach(entry => {
+            const cursor = parseDateKey(entry.start);
+            const last = parseDateKey(entry.end);
+            while (cursor <= last) {
+                addDay(new Date(cursor), entry.label);
+                cursor.setDate(cursor.getDate() + 1);
+            }
+        });
+
+        return days;
+    }
+
+    // Each week lists hours worked Sunday..Saturday; 0 means a day off
+    const WORK_SCHEDULE_PRESETS = {
+        'standard': { name: 'Standard (Mon-Fri, 8 hours)', weeks: [[0, 8, 8, 8, 8, 8, 0]] },
+        'four-tens': { name: '4x10 (Mon-Thu, 10 hours)', weeks: [[0, 10, 10, 10, 10, 0, 0]] },
+        'nine-eighty': { name: '9/80 (every other Friday off)', weeks: [[0, 9, 9, 9, 9, 8, 0], [0, 9, 9, 9, 9, 0, 0]] }
+    };
+    const DEFAULT_SCHEDULE_ANCHOR = '2024-01-07';
+
+    // Hours scheduled on a given local date (the cycle starts the Sunday of the anchor's week)
+    function getScheduledHours(date, schedule) {
+        const cycleStart = parseDateKey(schedule.anchor);
+        cycleStart.setDate(cycleStart.getDate() - cycleStart.getDay());
+
+        const cycleLength = schedule.weeks.length * 7;
+        const dayIndex = Math.round((date - cycleStart) / DAY_MS);
+        const cycleDay = ((dayIndex % cycleLength) + cycleLength) % cycleLength;
+        return schedule.weeks[Math.floor(cycleDay / 7)][cycleDay % 7];
+    }
+
+    // Count work days, hours and days-off runs in totalDays days from startDate.
+    // Any cycleLength consecutive days visit each cycle position exactly once, so one
+    // pass over a single cycle (weighted by how often each position repeats) is enough.
+    function countScheduledWork(startDate, totalDays, schedule, daysOff) {
+        const counts = { weekends: 0, workDays: 0, workHours: 0, mondays: 0, fridays: 0, daysOffOnWorkDays: 0 };
+        const cycleLength = schedule.weeks.length * 7;
+        const fullCycles = Math.floor(totalDays / cycleLength);
+        const remainingDays = totalDays % cycleLength;
+
+        const date = new Date(startDate);
+        const previous = new Date(startDate);
+        previous.setDate(previous.getDate() - 1);
+
+        for (let i = 0; i < Math.min(cycleLength, totalDays); i++) {
+            const occurrences = fullCycles + (i < remainingDays ? 1 : 0);
+            const hours = getScheduledHours(date, schedule);
+            const dayOfWeek = date.getDay();
+
+            if (hours > 0) {
+                counts.workDays += occurrences;
+                counts.workHours += hours * occurrences;
+                if (dayOfWeek === 1) counts.mondays += occurrences;
+                if (dayOfWeek === 5) counts.fridays += occurrences;
+            } else if (getScheduledHours(previous, schedule) > 0) {
+                // A "weekend" is each run of scheduled days off, counted where it begins
+                counts.weekends += occurrences;
+            }
+
+            date.setDate(date.getDate() + 1);
+            previous.setDate(previous.getDate() + 1);
+        }
+
+        // Remove holidays and PTO that land on scheduled work days
+        daysOff.forEach((label, key) => {
+            const day = parseDateKey(key);
+            const hours = getScheduledHours(day, schedule);
+            if (hours <= 0) return;
+            counts.daysOffOnWorkDays++;
+            counts.workDays--;
+            counts.workHours -= hours;
+            if (day.getDay() === 1) counts.mondays--;
+            if (day.getDay() === 5) counts.fridays--;
+        });
+
+        return counts;
+    }
+
+    // =========================================================================
+    // Milestones
+    // =========================================================================
+
+    const MAX_MILESTONE_DAYS = 18250; // 50 years, the furthest retirement date allowed
+
+    const DEFAULT_MILESTONES = [
+        { type: 'days', value: 730, icon: '🎯', text: '2 Years to Go', emoji: '📅' },
+        { type: 'days', value: 365, icon: '🎆', text: 'One Year Left', emoji: '🗓️' },
+        { type: 'days', value: 180, icon: '🌸', text: '6 Months Away', emoji: '⏳' },
+        { type: 'days', value: 100, icon: '💯', text: 'Double Digits', emoji: '🎊' },
+        { type: 'days', value: 50, icon: '⚡', text: '50 Days Left', emoji: '🎉' },
+        { type: 'days', value: 30, icon: '🎪', text: 'One Month', emoji: '📆' },
+        { type: 'days', value: 7, icon: '⭐', text: 'Final Week', emoji: '🎯' },
+        { type: 'days', value: 1, icon: '🔥', text: 'LAST DAY!', emoji: '🚀' }
+    ];
+
+    // Calendar days before retirement day at which the given number of scheduled
+    // work days remain, or null if the schedule never gets there
+    function workDaysToCalendarDays(workDays, endDate, schedule, daysOff) {
+        const day = new Date(endDate);
+        let remaining = 0;
+
+        for (let daysBefore = 1; daysBefore <= MAX_MILESTONE_DAYS * 2; daysBefore++) {
+            day.setDate(day.getDate() - 1);
+            if (getScheduledHours(day, schedule) > 0 && !daysOff.has(toDateKey(day))) remaining++;
+            if (remaining === workDays) return daysBefore;
+        }
+        return null;
+    }
+
+    // Milestones with their threshold in calendar days before retirement, furthest first
+    function resolveMilestones(milestones, endDate, schedule, daysOff) {
+        const resolved = [];
+        milestones.forEach(m => {
+            let daysBefore = m.value;
+            if (m.type === 'date') {
+                daysBefore = Math.round((endDate - parseDateKey(m.value)) / DAY_MS);
+            } else if (m.type === 'workdays') {
+                daysBefore = workDaysToCalendarDays(m.value, endDate, schedule, daysOff);
+            }
+
+            // Dates on or after retirement day (or unreachable work-day counts) never trigger
+            if (daysBefore === null || daysBefore < 1) return;
+            resolved.push({ ...m, daysBefore });
+        });
+        return resolved.sort((a, b) => b.daysBefore - a.daysBefore);
+    }
+
+    // The slow part of a snapshot, which only changes when the calendar day in the
+    // zone does: remaining work days and resolved milestones. dateKey names that day.
+    function getCountdownDayData({ now, retirementDate, timeZone, schedule, holidayCalendar, milestones }) {
+        const today = getZonedCalendarDate(now, timeZone);
+        const endDate = getZonedCalendarDate(retirementDate, timeZone);
+        const totalDays = Math.ceil((endDate - today) / DAY_MS);
+        const daysOff = collectDaysOff(today, endDate, holidayCalendar);
+
+        return {
+            dateKey: toDateKey(today),
+            workDaysRemaining: totalDays > 0 ? countScheduledWork(today, totalDays, schedule, daysOff).workDays : 0,
+            milestones: resolveMilestones(milestones, endDate, schedule, daysOff)
+        };
+    }
+
+    // Everything /api/countdown reports, built from the same functions the page uses.
+    // holidayCalendar is { ruleSet, custom } and schedule is { weeks, anchor }. Callers
+    // that take a snapshot every second pass dayData from the same calendar day.
+    function getCountdownSnapshot(options, dayData = getCountdownDayData(options)) {
+        const { now, name, retirementDate, startDate, timeZone } = options;
+        const retired = retirementDate - now <= 0;
+
+        const countdown = getCountdownParts(now, retirementDate, timeZone);
+        const { percentage } = calculateProgress(now, retirementDate, startDate);
+
+        let nextMilestone = null;
+        if (!retired) {
+            const next = dayData.milestones.find(m => m.daysBefore < countdown.days);
+            if (next) {
+                nextMilestone = {
+                    icon: next.icon,
+                    text: next.text,
+                    daysBefore: next.daysBefore,
+                    daysUntil: countdown.days - next.daysBefore,
+                    date: new Date(getDaysLeftWallTime(retirementDate, timeZone, next.daysBefore)).toISOString().slice(0, 10)
+                };
+            }
+        }
+
+        return {
+            name,
+            retirementDate: retirementDate.toISOString(),
+            timeZone,
+            retired,
+            ...countdown,
+            workDaysRemaining: dayData.workDaysRemaining,
+            progressPercentage: Math.round(percentage * 100) / 100,
+            nextMilestone,
+            sinceRetirement: retired ? getCountdownParts(retirementDate, now, timeZone) : null,
+            generatedAt: now.toISOString()
+        };
+    }
+
+    // =========================================================================
+    // iCalendar (RFC 5545) export
+    // =========================================================================
+
+    const CALENDAR_FEED_PATH = '/calendar.ics';
+    const MAX_CALENDAR_NAME_LENGTH = 40;
+    const MAX_CALENDAR_MILESTONES = 30;
+    const MAX_CALENDAR_ICON_LENGTH = 8;
+    const MAX_CALENDAR_TEXT_LENGTH = 40;
+
+    function escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold content lines longer than 75 octets, never splitting a UTF-8 character
+    function foldIcsLine(line) {
+        const folded = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const codePoint = char.codePointAt(0);
+            const charBytes = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+            // Continuation lines start with a space, which counts toward their 75 octets
+            const limit = folded.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                folded.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        folded.push(current);
+        return folded.join('\r\n ');
+    }
+
+    // YYYYMMDD of a wall time produced by toWallTime()
+    function formatIcsDate(wallTime) {
+        return new Date(wallTime).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    function formatIcsTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Stable event ids, so a re-imported or refreshed calendar updates events in place
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function buildAllDayEvent(uid, wallTime, summary, description, alarms, now) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${formatIcsTimestamp(now)}`,
+            `DTSTART;VALUE=DATE:${formatIcsDate(wallTime)}`,
+            `DTEND;VALUE=DATE:${formatIcsDate(wallTime + DAY_MS)}`,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            'TRANSP:TRANSPARENT'
+        ];
+        alarms.forEach(trigger => {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeIcsText(summary)}`,
+                `TRIGGER:${trigger}`, 'END:VALARM');
+        });
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    // Build an .ics file with an all-day event for the retirement day and one for
+    // the day each milestone is reached. Milestones are { daysBefore, icon, text };
+    // a milestone is reached when the countdown first shows daysBefore days.
+    function buildCalendarFile({ name, retirementDate, timeZone, milestones }, now = new Date()) {
+        const uidBase = hashString(`${name}|${retirementDate.toISOString()}`);
+        const usedUids = new Set();
+        const uniqueUid = (base) => {
+            let uid = base;
+            for (let n = 2; usedUids.has(uid); n++) uid = `${base}-${n}`;
+            usedUids.add(uid);
+            return `${uid}@retirement-countdown`;
+        };
+
+        const time = formatDateForInput(retirementDate, timeZone).slice(11);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Retirement Countdown//Calendar Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeIcsText(name)}`,
+            // Refresh hints for subscribed feeds; milestone days shift with the settings
+            'X-PUBLISHED-TTL:PT12H',
+            'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+            // 9 AM the day before, and one week ahead
+            ...buildAllDayEvent(uniqueUid(`${uidBase}-retirement`), toWallTime(retirementDate, timeZone), `🎉 Retirement Day: ${name}`,
+                `Retirement at ${time} (${timeZone})`, ['-PT15H', '-P7D'], now)
+        ];
+
+        milestones.forEach(m => {
+            const wallTime = getDaysLeftWallTime(retirementDate, timeZone, m.daysBefore);
+            const dayLabel = m.daysBefore === 1 ? 'day' : 'days';
+            lines.push(...buildAllDayEvent(uniqueUid(`${uidBase}-milestone-${m.daysBefore}`), wallTime,
+                `${m.icon} ${m.text}`, `${m.daysBefore} ${dayLabel} until retirement (${name})`, ['-PT15H'], now));
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    // Query string for the server's subscribable feed; each milestone travels as
+    // "daysBefore|icon|text" so the server needs no access to the viewer's settings
+    function buildCalendarFeedQuery({ name, retirementDate, timeZone, milestones }) {
+        const params = new URLSearchParams({
+            retire: formatDateForInput(retirementDate, timeZone),
+            tz: timeZone,
+            title: name
+        });
+        milestones.slice(0, MAX_CALENDAR_MILESTONES).forEach(m => {
+            params.append('milestone', `${m.daysBefore}|${m.icon}|${m.text}`);
+        });
+        return params.toString();
+    }
+
+    // Shared by both query parsers: the countdown title and "daysBefore|icon|text" milestones
+    function parseNameParam(params) {
+        const name = (params.get('title') || '').trim() || DEFAULT_COUNTDOWN_NAME;
+        return name.length <= MAX_CALENDAR_NAME_LENGTH ? name : null;
+    }
+
+    function parseMilestoneParams(params) {
+        const entries = params.getAll('milestone');
+        if (entries.length > MAX_CALENDAR_MILESTONES) return null;
+
+        const milestones = [];
+        for (const entry of entries) {
+            const match = /^(\d{1,5})\|([^|]*)\|(.+)$/.exec(entry);
+            const daysBefore = match ? Number(match[1]) : NaN;
+            if (!match || daysBefore < 1 || daysBefore > MAX_MILESTONE_DAYS ||
+                match[2].length > MAX_CALENDAR_ICON_LENGTH || match[3].length > MAX_CALENDAR_TEXT_LENGTH) {
+                return null;
+            }
+            milestones.push({ daysBefore, icon: match[2], text: match[3] });
+        }
+        return milestones;
+    }
+
+    // Parse a feed query string; returns the buildCalendarFile() options or { error }
+    function parseCalendarFeedQuery(query, now = new Date()) {
+        const params = new URLSearchParams(query);
+
+        const timeZone = params.get('tz') || 'UTC';
+        if (!isValidTimeZone(timeZone)) return { error: 'Unknown time zone' };
+
+        const retirementDate = parseZonedInput(params.get('retire') || '', timeZone);
+        if (isNaN(retirementDate.getTime())) return { error: 'Missing or invalid retirement date' };
+        if (retirementDate > getLatestRetirementDate(now)) return { error: TOO_FAR_AHEAD_ERROR };
+
+        const name = parseNameParam(params);
+        if (!name) return { error: 'Title is too long' };
+
+        const milestones = parseMilestoneParams(params);
+        if (!milestones) return { error: 'Invalid or too many milestones' };
+
+        return { name, retirementDate, timeZone, milestones };
+    }
+
+    // Parse /api/countdown parameters (share link names plus holidays, schedule and
+    // milestone). Anything left out falls back to the page's defaults. Returns the
+    // getCountdownSnapshot() options without now, or { error }.
+    function parseCountdownQuery(query, defaultTimeZone, now = new Date()) {
+        const params = new URLSearchParams(query);
+
+        const timeZone = params.get('tz') || defaultTimeZone;
+        if (!isValidTimeZone(timeZone)) return { error: 'Unknown time zone' };
+
+        const retirementDate = parseZonedInput(params.get('retire') || DEFAULT_RETIREMENT_DATE_INPUT, timeZone);
+        if (isNaN(retirementDate.getTime())) return { error: 'Invalid retirement date' };
+        if (retirementDate > getLatestRetirementDate(now)) return { error: TOO_FAR_AHEAD_ERROR };
+
+        const startDate = parseZonedInput(params.get('start') || DEFAULT_START_DATE_INPUT, timeZone);
+        if (isNaN(startDate.getTime()) || startDate >= retirementDate) return { error: 'Invalid start date' };
+
+        const name = parseNameParam(params);
+        if (!name) return { error: 'Title is too long' };
+
+        const ruleSet = params.get('holidays') || 'none';
+        if (!HOLIDAY_RULE_SETS[ruleSet]) return { error: 'Unknown holiday calendar' };
+
+        const preset = WORK_SCHEDULE_PRESETS[params.get('schedule') || 'standard'];
+        if (!preset) return { error: 'Unknown work schedule' };
+
+        const milestones = parseMilestoneParams(params);
+        if (!milestones) return { error: 'Invalid or too many milestones' };
+
+        return {
+            name,
+            retirementDate,
+            startDate,
+            timeZone,
+            holidayCalendar: { ruleSet, custom: [] },
+            schedule: { weeks: preset.weeks, anchor: DEFAULT_SCHEDULE_ANCHOR },
+            milestones: params.has('milestone')
+                ? milestones.map(m => ({ type: 'days', value: m.daysBefore, icon: m.icon, text: m.text }))
+                : DEFAULT_MILESTONES
+        };
+    }
+
+    return {
+        isValidTimeZone,
+        getZonedParts,
+        getTimeZoneOffset,
+        zonedTimeToDate,
+        parseZonedInput,
+        toWallTime,
+        formatDateOnlyForInput,
+        formatDateForInput,
+        getZonedCalendarDate,
+        toDateKey,
+        parseDateKey,
+        isValidDateKey,
+        DEFAULT_COUNTDOWN_NAME,
+        DEFAULT_RETIREMENT_DATE_INPUT,
+        DEFAULT_START_DATE_INPUT,
+        MAX_YEARS_AHEAD,
+        getLatestRetirementDate,
+        getCountdownParts,
+        getDaysLeftWallTime,
+        calculateProgress,
+        HOLIDAY_RULE_SETS,
+        getRuleSetHolidays,
+        collectDaysOff,
+        WORK_SCHEDULE_PRESETS,
+        DEFAULT_SCHEDULE_ANCHOR,
+        getScheduledHours,
+        countScheduledWork,
+        MAX_MILESTONE_DAYS,
+        DEFAULT_MILESTONES,
+        resolveMilestones,
+        getCountdownDayData,
+        getCountdownSnapshot,
+        CALENDAR_FEED_PATH,
+        escapeIcsText,
+        foldIcsLine,
+        buildCalendarFile,
+        buildCalendarFeedQuery,
+        parseCalendarFeedQuery,
+        parseCountdownQuery
+    };
+});
@@ -1,17 +1,200 @@
 // Retirement date management
-let retirementDate = new Date('2026-02-27T16:00:00');
+let retirementDate = new Date(DEFAULT_RETIREMENT_DATE_INPUT);
+
+// Employment start date (drives progress bar, thermometer and hourglass)
+let employmentStartDate = new Date(DEFAULT_START_DATE_INPUT);
+
+// IANA time zone the retirement moment is expressed in
+const VIEWER_TIME_ZONE = getViewerTimeZone();
+let retirementTimeZone = VIEWER_TIME_ZONE;
 
 // Shared constants to avoid duplication
-const EMPLOYMENT_START_DATE = new Date('2018-10-01T00:00:00');
 const MAX_CONFETTI_ELEMENTS = 200;
 const CELEBRATION_CONFETTI_DURATION = 30000; // Stop confetti after 30 seconds
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Named countdowns; the active one is mirrored into retirementDate/employmentStartDate
+const COUNTDOWNS_STORAGE_KEY = 'countdowns';
+const MAX_COUNTDOWN_NAME_LENGTH = 40;
+
+// A share link shows someone else's countdown read-only; nothing is saved while viewing one
+let isSharedView = false;
+let countdowns = [];
+let activeCountdownId = null;
 
 // Store interval references for cleanup
 let countdownInterval = null;
 let milestoneInterval = null;
+let notificationInterval = null;
 let celebrationConfettiInterval = null;
 
-// Load saved date from localStorage with error handling
+// Last day count seen by the milestone confetti check
+let lastDays = null;
+
+function createCountdown(name, retirement, start, timeZone = VIEWER_TIME_ZONE) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        name,
+        retirementDate: new Date(retirement),
+        startDate: new Date(start),
+        timeZone,
+        finances: null,
+        celebrated: false
+    };
+}
+
+function getActiveCountdown() {
+    return countdowns.find(c => c.id === activeCountdownId) || countdowns[0];
+}
+
+// Validate a countdown name, returning the trimmed name or null
+function sanitizeCountdownName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.length > MAX_COUNTDOWN_NAME_LENGTH) return null;
+    return trimmed;
+}
+
+// Parse the stored countdown list, dropping any invalid entries
+function parseSavedCountdowns(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+    if (!data || !Array.isArray(data.countdowns)) return null;
+
+    const parsed = [];
+    data.countdowns.forEach(entry => {
+        if (!entry || typeof entry.id !== 'string') return;
+        const name = sanitizeCountdownName(entry.name);
+        const retirement = new Date(entry.retirementDate);
+        const start = new Date(entry.startDate);
+        if (!name || isNaN(retirement.getTime()) || isNaN(start.getTime()) || start >= retirement) return;
+        // Countdowns saved before time zone support follow the viewer's zone
+        const timeZone = isValidTimeZone(entry.timeZone) ? entry.timeZone : VIEWER_TIME_ZONE;
+        const finances = sanitizeFinances(entry.finances);
+        parsed.push({
+            id: entry.id, name, retirementDate: retirement, startDate: start, timeZone, finances,
+            celebrated: entry.celebrated === true
+        });
+    });
+
+    if (parsed.length === 0) return null;
+    return { activeId: data.activeId, countdowns: parsed };
+}
+
+// Load saved countdowns from localStorage, migrating the legacy single-date keys
+function loadSavedCountdowns() {
+    try {
+        const saved = localStorage.getItem(COUNTDOWNS_STORAGE_KEY);
+        if (saved) {
+            const parsed = parseSavedCountdowns(saved);
+            if (parsed) {
+                countdowns = parsed.countdowns;
+                activeCountdownId = parsed.activeId;
+            } else {
+                console.warn('Invalid countdowns in localStorage, using default');
+                localStorage.removeItem(COUNTDOWNS_STORAGE_KEY);
+            }
+        } else {
+            loadSavedDate();
+            loadSavedStartDate();
+            countdowns = [createCountdown(DEFAULT_COUNTDOWN_NAME, retirementDate, employmentStartDate)];
+            activeCountdownId = countdowns[0].id;
+            if (saveCountdowns()) {
+                localStorage.removeItem('retirementDate');
+                localStorage.removeItem('employmentStartDate');
+            }
+        }
+    } catch (error) {
+        console.warn('Unable to access localStorage:', error);
+        showNotification('Unable to load saved countdowns');
+    }
+
+    if (countdowns.length === 0) {
+        countdowns = [createCountdown(DEFAULT_COUNTDOWN_NAME, retirementDate, employmentStartDate)];
+    }
+    if (!countdowns.some(c => c.id === activeCountdownId)) {
+        activeCountdownId = countdowns[0].id;
+    }
+    applyActiveCountdown();
+}
+
+// Plain-JSON form of the countdown list, as stored and exported
+function serializeCountdowns() {
+    return {
+        activeId: activeCountdownId,
+        countdowns: countdowns.map(c => ({
+            id: c.id,
+            name: c.name,
+            retirementDate: c.retirementDate.toISOString(),
+            startDate: c.startDate.toISOString(),
+            timeZone: c.timeZone,
+            finances: c.finances,
+            celebrated: c.celebrated
+        }))
+    };
+}
+
+// Persist all countdowns; returns false if storage is unavailable
+function saveCountdowns() {
+    // Never let a shared countdown overwrite the viewer's own
+    if (isSharedView) return false;
+    try {
+        localStorage.setItem(COUNTDOWNS_STORAGE_KEY, JSON.stringify(serializeCountdowns()));
+        return true;
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        return false;
+    }
+}
+
+// Mirror the active countdown into the globals every renderer reads
+function applyActiveCountdown() {
+    const active = getActiveCountdown();
+    activeCountdownId = active.id;
+    retirementDate = active.retirementDate;
+    employmentStartDate = active.startDate;
+    retirementTimeZone = active.timeZone;
+
+    document.getElementById('retirement-date').value = formatDateForInput(retirementDate, retirementTimeZone);
+    document.getElementById('employment-start-date').value = formatDateOnlyForInput(employmentStartDate, retirementTimeZone);
+    renderTimeZoneOptions();
+    renderRetirementMoment();
+    renderFinanceSettings();
+
+    // Force milestone rebuild and avoid a spurious milestone celebration
+    lastMilestoneDays = null;
+    lastDays = null;
+
+    renderCountdownSelector();
+}
+
+function renderCountdownSelector() {
+    const select = document.getElementById('countdown-select');
+    if (!select) return;
+    select.textContent = ''; // Clear safely
+
+    countdowns.forEach(c => {
+        const option = document.createElement('option');
+        option.value = c.id;
+        option.textContent = c.name;
+        option.selected = c.id === activeCountdownId;
+        select.appendChild(option);
+    });
+}
+
+function switchCountdown(id) {
+    if (!countdowns.some(c => c.id === id)) return;
+    activeCountdownId = id;
+    saveCountdowns();
+    applyActiveCountdown();
+    updateCountdown();
+}
+
+// Load legacy single saved date from localStorage with error handling
 function loadSavedDate() {
     try {
         const savedDate = localStorage.getItem('retirementDate');
@@ -32,61 +215,518 @@ function loadSavedDate() {
     }
 }
 
-function formatDateForInput(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
+// Load legacy saved employment start date from localStorage with error handling
+function loadSavedStartDate() {
+    try {
+        const savedStartDate = localStorage.getItem('employmentStartDate');
+        if (savedStartDate) {
+            const parsedDate = new Date(savedStartDate);
+            // Validate the parsed date is valid and precedes retirement
+            if (isNaN(parsedDate.getTime()) || parsedDate >= retirementDate) {
+                console.warn('Invalid start date in localStorage, using default');
+                localStorage.removeItem('employmentStartDate');
+                return;
+            }
+            employmentStartDate = parsedDate;
+            document.getElementById('employment-start-date').value = formatDateOnlyForInput(employmentStartDate);
+        }
+    } catch (error) {
+        console.warn('Unable to access localStorage:', error);
+        showNotification('Unable to load saved start date');
+    }
 }
 
-// Update retirement date with validation
-document.getElementById('update-date').addEventListener('click', () => {
-    const newDateValue = document.getElementById('retirement-date').value;
+// =============================================================================
+// Time zone helpers (conversions live in countdown-core.js)
+// =============================================================================
+
+// Fallback list for engines without Intl.supportedValuesOf
+const COMMON_TIME_ZONES = [
+    'UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix',
+    'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'America/Toronto',
+    'America/Vancouver', 'America/Mexico_City', 'America/Sao_Paulo', 'Europe/London',
+    'Europe/Dublin', 'Europe/Paris', 'Europe/Berlin', 'Europe/Madrid', 'Europe/Rome',
+    'Europe/Amsterdam', 'Europe/Stockholm', 'Europe/Athens', 'Africa/Johannesburg',
+    'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Hong_Kong', 'Asia/Shanghai',
+    'Asia/Tokyo', 'Asia/Seoul', 'Australia/Perth', 'Australia/Sydney', 'Pacific/Auckland'
+];
+
+function getViewerTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
 
+function renderTimeZoneOptions() {
+    const select = document.getElementById('retirement-time-zone');
+    if (!select) return;
+
+    if (select.options.length === 0) {
+        let zones = COMMON_TIME_ZONES;
+        if (typeof Intl.supportedValuesOf === 'function') {
+            try {
+                zones = Intl.supportedValuesOf('timeZone');
+            } catch (error) {
+                // Keep the fallback list
+            }
+        }
+        const allZones = new Set(zones.concat(['UTC', VIEWER_TIME_ZONE]));
+        Array.from(allZones).sort().forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone === VIEWER_TIME_ZONE ? `${zone} (your time zone)` : zone;
+            select.appendChild(option);
+        });
+    }
+
+    // Countdowns may carry a zone the list does not know about
+    if (!Array.from(select.options).some(option => option.value === retirementTimeZone)) {
+        const option = document.createElement('option');
+        option.value = retirementTimeZone;
+        option.textContent = retirementTimeZone;
+        select.appendChild(option);
+    }
+    select.value = retirementTimeZone;
+}
+
+// Show the retirement moment in its own zone and in the viewer's zone
+function renderRetirementMoment() {
+    const element = document.getElementById('retirement-moment');
+    if (!element) return;
+
+    const options = {
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+        hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    };
+    const targetTime = retirementDate.toLocaleString('en-US', { ...options, timeZone: retirementTimeZone });
+
+    if (retirementTimeZone === VIEWER_TIME_ZONE) {
+        element.textContent = `Target: ${targetTime} (${retirementTimeZone}), your local time`;
+        return;
+    }
+    const viewerTime = retirementDate.toLocaleString('en-US', { ...options, timeZone: VIEWER_TIME_ZONE });
+    element.textContent = `Target: ${targetTime} (${retirementTimeZone}) · Your time: ${viewerTime}`;
+}
+
+// Validate, apply and persist a new retirement date (shared by the date picker and calculator)
+function updateRetirementDate(newDateValue, newTimeZone) {
     // Validate input is not empty
     if (!newDateValue) {
         showNotification('Please select a valid date');
-        return;
+        return false;
     }
 
-    const newDate = new Date(newDateValue);
+    // Validate the time zone is one this browser understands
+    if (!isValidTimeZone(newTimeZone)) {
+        showNotification('Please select a valid time zone');
+        return false;
+    }
+
+    // Interpret the entered wall-clock time in the chosen zone
+    const newDate = parseZonedInput(newDateValue, newTimeZone);
 
     // Validate date is valid
     if (isNaN(newDate.getTime())) {
         showNotification('Invalid date format');
-        return;
+        return false;
     }
 
     // Validate date is in the future
     const now = new Date();
     if (newDate <= now) {
         showNotification('Retirement date must be in the future');
-        return;
+        return false;
     }
 
     // Validate date is not too far in the future (50 years max)
-    const maxDate = new Date();
-    maxDate.setFullYear(maxDate.getFullYear() + 50);
-    if (newDate > maxDate) {
-        showNotification('Date cannot be more than 50 years in the future');
-        return;
+    if (newDate > getLatestRetirementDate(now)) {
+        showNotification(`Date cannot be more than ${MAX_YEARS_AHEAD} years in the future`);
+        return false;
     }
 
+    document.getElementById('retirement-date').value = newDateValue;
+    document.getElementById('retirement-time-zone').value = newTimeZone;
     retirementDate = newDate;
+    retirementTimeZone = newTimeZone;
+    getActiveCountdown().retirementDate = newDate;
+    getActiveCountdown().timeZone = newTimeZone;
+    getActiveCountdown().celebrated = false;
+    renderRetirementMoment();
 
     // Save to localStorage with error handling
-    try {
-        localStorage.setItem('retirementDate', retirementDate.toISOString());
-    } catch (error) {
-        console.warn('Unable to save to localStorage:', error);
+    if (!saveCountdowns()) {
         showNotification('Date updated but could not be saved');
     }
 
     createConfetti();
     showNotification('Retirement date updated!');
     updateCountdown();
+    return true;
+}
+
+// Update retirement date with validation
+document.getElementById('update-date').addEventListener('click', () => {
+    updateRetirementDate(
+        document.getElementById('retirement-date').value,
+        document.getElementById('retirement-time-zone').value
+    );
+});
+
+// Update employment start date with validation
+document.getElementById('update-start-date').addEventListener('click', () => {
+    const newStartValue = document.getElementById('employment-start-date').value;
+
+    // Validate input is not empty
+    if (!newStartValue) {
+        showNotification('Please select a valid start date');
+        return;
+    }
+
+    // Parse as midnight in the countdown's zone (date-only strings are otherwise treated as UTC)
+    const newStartDate = parseZonedInput(newStartValue, retirementTimeZone);
+
+    // Validate date is valid
+    if (isNaN(newStartDate.getTime())) {
+        showNotification('Invalid date format');
+        return;
+    }
+
+    // Validate start date is not in the future
+    if (newStartDate > new Date()) {
+        showNotification('Start date cannot be in the future');
+        return;
+    }
+
+    // Validate start date is before the retirement date
+    if (newStartDate >= retirementDate) {
+        showNotification('Start date must be before the retirement date');
+        return;
+    }
+
+    employmentStartDate = newStartDate;
+    getActiveCountdown().startDate = newStartDate;
+
+    // Save to localStorage with error handling
+    if (!saveCountdowns()) {
+        showNotification('Start date updated but could not be saved');
+    }
+
+    showNotification('Start date updated!');
+    updateCountdown();
+});
+
+// Countdown switcher actions
+document.getElementById('countdown-select').addEventListener('change', (event) => {
+    switchCountdown(event.target.value);
+});
+
+document.getElementById('add-countdown').addEventListener('click', () => {
+    const nameInput = document.getElementById('countdown-name');
+    const name = sanitizeCountdownName(nameInput.value);
+    if (!name) {
+        showNotification(`Enter a name of up to ${MAX_COUNTDOWN_NAME_LENGTH} characters`);
+        return;
+    }
+
+    // Start a year out from today; the user adjusts the dates afterwards
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const oneYearOut = new Date(today);
+    oneYearOut.setFullYear(oneYearOut.getFullYear() + 1);
+    oneYearOut.setHours(17, 0, 0, 0);
+
+    const countdown = createCountdown(name, oneYearOut, today);
+    countdowns.push(countdown);
+    nameInput.value = '';
+    switchCountdown(countdown.id);
+    showNotification(`Added "${name}" - set its dates below`);
+});
+
+document.getElementById('rename-countdown').addEventListener('click', () => {
+    const nameInput = document.getElementById('countdown-name');
+    const name = sanitizeCountdownName(nameInput.value);
+    if (!name) {
+        showNotification(`Enter a name of up to ${MAX_COUNTDOWN_NAME_LENGTH} characters`);
+        return;
+    }
+
+    getActiveCountdown().name = name;
+    nameInput.value = '';
+    if (!saveCountdowns()) {
+        showNotification('Renamed but could not be saved');
+    }
+    renderCountdownSelector();
+    showNotification(`Renamed to "${name}"`);
+});
+
+document.getElementById('delete-countdown').addEventListener('click', () => {
+    if (countdowns.length <= 1) {
+        showNotification('You need at least one countdown');
+        return;
+    }
+
+    const active = getActiveCountdown();
+    if (!confirm(`Delete the "${active.name}" countdown?`)) return;
+
+    countdowns = countdowns.filter(c => c.id !== active.id);
+    switchCountdown(countdowns[0].id);
+    showNotification(`Deleted "${active.name}"`);
+});
+
+// =============================================================================
+// Page title and owner name
+// =============================================================================
+
+const PAGE_SETTINGS_STORAGE_KEY = 'pageSettings';
+const MAX_PAGE_TEXT_LENGTH = 80;
+const DEFAULT_SUBTITLE = 'The Journey to Freedom Begins...';
+const DEFAULT_PAGE_SETTINGS = { ownerName: 'Kyle', heading: '', subtitle: DEFAULT_SUBTITLE, documentTitle: '' };
+
+// Empty heading and document title are derived from the owner name
+let pageSettings = { ...DEFAULT_PAGE_SETTINGS };
+
+// Validate page settings, returning a trimmed copy or null
+function sanitizePageSettings(settings) {
+    if (!settings) return null;
+    const limits = {
+        ownerName: MAX_COUNTDOWN_NAME_LENGTH,
+        heading: MAX_PAGE_TEXT_LENGTH,
+        subtitle: MAX_PAGE_TEXT_LENGTH,
+        documentTitle: MAX_PAGE_TEXT_LENGTH
+    };
+
+    const result = {};
+    for (const [field, maxLength] of Object.entries(limits)) {
+        if (typeof settings[field] !== 'string') return null;
+        const value = settings[field].trim();
+        if (value.length > maxLength) return null;
+        result[field] = value;
+    }
+    return result;
+}
+
+// Text shown in the page for the given settings (mirrored by server.js for share links)
+function getPageText(settings) {
+    const possessive = settings.ownerName ? `${settings.ownerName}'s ` : '';
+    const heading = settings.heading || `${possessive}Countdown to Retirement`;
+    return {
+        heading,
+        subtitle: settings.subtitle,
+        documentTitle: settings.documentTitle || heading,
+        description: `${possessive || 'A '}retirement countdown timer - tracking the journey to freedom`
+    };
+}
+
+function applyPageSettings() {
+    const text = getPageText(pageSettings);
+    document.title = text.documentTitle;
+    document.querySelector('h1.title').textContent = text.heading;
+    document.querySelector('header .subtitle').textContent = text.subtitle;
+    const description = document.querySelector('meta[name="description"]');
+    if (description) description.setAttribute('content', text.description);
+}
+
+function loadPageSettings() {
+    try {
+        const saved = localStorage.getItem(PAGE_SETTINGS_STORAGE_KEY);
+        if (saved) {
+            const settings = sanitizePageSettings(JSON.parse(saved));
+            if (!settings) {
+                console.warn('Invalid page settings in localStorage, using default');
+                localStorage.removeItem(PAGE_SETTINGS_STORAGE_KEY);
+                return;
+            }
+            pageSettings = settings;
+        }
+    } catch (error) {
+        console.warn('Unable to load page settings:', error);
+        showNotification('Unable to load saved page title');
+    }
+}
+
+function renderPageSettings() {
+    document.getElementById('owner-name').value = pageSettings.ownerName;
+    document.getElementById('page-heading').value = pageSettings.heading;
+    document.getElementById('page-subtitle').value = pageSettings.subtitle;
+    document.getElementById('document-title').value = pageSettings.documentTitle;
+    applyPageSettings();
+}
+
+document.getElementById('save-page-settings').addEventListener('click', () => {
+    const settings = sanitizePageSettings({
+        ownerName: document.getElementById('owner-name').value,
+        heading: document.getElementById('page-heading').value,
+        subtitle: document.getElementById('page-subtitle').value,
+        documentTitle: document.getElementById('document-title').value
+    });
+
+    if (!settings) {
+        showNotification(`Owner name must be at most ${MAX_COUNTDOWN_NAME_LENGTH} characters and titles at most ${MAX_PAGE_TEXT_LENGTH}`);
+        return;
+    }
+
+    pageSettings = settings;
+    try {
+        localStorage.setItem(PAGE_SETTINGS_STORAGE_KEY, JSON.stringify(pageSettings));
+        showNotification('Page title updated!');
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        showNotification('Page title updated but could not be saved');
+    }
+    renderPageSettings();
+});
+
+// =============================================================================
+// Themes and share links
+// =============================================================================
+
+const THEME_STORAGE_KEY = 'theme';
+const DEFAULT_THEME = 'twilight';
+const THEMES = {
+    'twilight': 'Twilight',
+    'ocean': 'Ocean',
+    'sunset': 'Sunset',
+    'forest': 'Forest'
+};
+
+let currentTheme = DEFAULT_THEME;
+
+function applyTheme(theme) {
+    currentTheme = THEMES[theme] ? theme : DEFAULT_THEME;
+    document.body.dataset.theme = currentTheme;
+    const select = document.getElementById('theme-select');
+    if (select) select.value = currentTheme;
+}
+
+function loadTheme() {
+    try {
+        const saved = localStorage.getItem(THEME_STORAGE_KEY);
+        if (saved && !THEMES[saved]) {
+            console.warn('Invalid theme in localStorage, using default');
+            localStorage.removeItem(THEME_STORAGE_KEY);
+            return;
+        }
+        if (saved) currentTheme = saved;
+    } catch (error) {
+        console.warn('Unable to load theme:', error);
+    }
+}
+
+function renderThemeOptions() {
+    const select = document.getElementById('theme-select');
+    if (select && select.options.length === 0) {
+        Object.entries(THEMES).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+    applyTheme(currentTheme);
+}
+
+document.getElementById('theme-select').addEventListener('change', (event) => {
+    applyTheme(event.target.value);
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, currentTheme);
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        showNotification('Theme changed but could not be saved');
+    }
+});
+
+// Encode a countdown as URL parameters, using wall-clock values so links stay readable.
+// Page text is only included when set, keeping typical links short.
+function buildShareLink(countdown, theme, page, baseUrl) {
+    const params = new URLSearchParams({
+        retire: formatDateForInput(countdown.retirementDate, countdown.timeZone),
+        start: formatDateOnlyForInput(countdown.startDate, countdown.timeZone),
+        tz: countdown.timeZone,
+        title: countdown.name,
+        theme
+    });
+    if (page.ownerName) params.set('owner', page.ownerName);
+    if (page.heading) params.set('heading', page.heading);
+    if (page.subtitle !== DEFAULT_SUBTITLE) params.set('subtitle', page.subtitle);
+    if (page.documentTitle) params.set('pageTitle', page.documentTitle);
+    return `${baseUrl}?${params}`;
+}
+
+// Page text from share link parameters; anything invalid falls back to the derived text
+function parseSharedPageSettings(params) {
+    const shared = {
+        ownerName: params.get('owner') || '',
+        heading: params.get('heading') || '',
+        subtitle: params.has('subtitle') ? params.get('subtitle') : DEFAULT_SUBTITLE,
+        documentTitle: params.get('pageTitle') || ''
+    };
+    return sanitizePageSettings(shared) || { ownerName: '', heading: '', subtitle: DEFAULT_SUBTITLE, documentTitle: '' };
+}
+
+// Parse share link parameters; returns { countdown, theme, page }, null without a link, or { error }
+function parseShareLink(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('retire')) return null;
+
+    const timeZone = params.get('tz') || VIEWER_TIME_ZONE;
+    if (!isValidTimeZone(timeZone)) return { error: 'Shared link has an unknown time zone' };
+
+    const retirement = parseZonedInput(params.get('retire'), timeZone);
+    if (isNaN(retirement.getTime())) return { error: 'Shared link has an invalid retirement date' };
+
+    const start = params.has('start') ? parseZonedInput(params.get('start'), timeZone) : new Date(employmentStartDate);
+    if (isNaN(start.getTime()) || start >= retirement) return { error: 'Shared link has an invalid start date' };
+
+    const name = sanitizeCountdownName(params.get('title') || '') || DEFAULT_COUNTDOWN_NAME;
+    const theme = THEMES[params.get('theme')] ? params.get('theme') : DEFAULT_THEME;
+    return {
+        countdown: createCountdown(name, retirement, start, timeZone),
+        theme,
+        page: parseSharedPageSettings(params)
+    };
+}
+
+// Show a shared countdown without touching the viewer's saved data
+function enterSharedView(shared) {
+    isSharedView = true;
+    countdowns = [shared.countdown];
+    activeCountdownId = shared.countdown.id;
+    currentTheme = shared.theme;
+    pageSettings = shared.page;
+    document.body.classList.add('shared-view');
+    document.getElementById('shared-name').textContent = shared.countdown.name;
+    document.getElementById('leave-shared-view').href = window.location.pathname;
+    applyActiveCountdown();
+}
+
+// Fall back to a visible, selectable field when the clipboard is unavailable
+function showShareLinkField(link) {
+    const field = document.getElementById('share-link');
+    field.value = link;
+    field.hidden = false;
+    field.focus();
+    field.select();
+}
+
+document.getElementById('copy-share-link').addEventListener('click', () => {
+    const link = buildShareLink(getActiveCountdown(), currentTheme, pageSettings,
+        window.location.origin + window.location.pathname);
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        showShareLinkField(link);
+        showNotification('Copy the link below to share your countdown');
+        return;
+    }
+
+    navigator.clipboard.writeText(link)
+        .then(() => showNotification('Share link copied!'))
+        .catch(error => {
+            console.warn('Unable to copy share link:', error);
+            showShareLinkField(link);
+            showNotification('Copy the link below to share your countdown');
+        });
 });
 
 // Countdown calculations
@@ -94,35 +734,41 @@ function updateCountdown() {
     const now = new Date();
     const diff = retirementDate - now;
 
+    // After the big day, keep the page useful by counting up instead
     if (diff <= 0) {
+        setRetiredMode(true);
         celebrateRetirement();
+        updateCountUp(now);
         return;
     }
+    setRetiredMode(false);
 
-    // Calculate time units
-    const seconds = Math.floor(diff / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
+    // Calculate time units from wall-clock time in the retirement zone (DST-safe)
+    const { days, hours, minutes, seconds } = getCountdownParts(now, retirementDate, retirementTimeZone);
     const weeks = Math.floor(days / 7);
-    const months = Math.floor(days / 30.44);
+    const breakdown = calendarDifference(now, retirementDate, retirementTimeZone);
+    const totalHours = Math.floor(diff / (1000 * 60 * 60));
 
     // Update main countdown
     document.getElementById('days').textContent = days;
-    document.getElementById('hours').textContent = hours % 24;
-    document.getElementById('minutes').textContent = minutes % 60;
-    document.getElementById('seconds').textContent = seconds % 60;
+    document.getElementById('hours').textContent = hours;
+    document.getElementById('minutes').textContent = minutes;
+    document.getElementById('seconds').textContent = seconds;
 
     // Update alternate views
-    document.getElementById('months').textContent = months;
+    document.getElementById('months').textContent = breakdown.years * 12 + breakdown.months;
     document.getElementById('weeks').textContent = weeks;
-    document.getElementById('total-hours').textContent = hours.toLocaleString();
+    document.getElementById('total-hours').textContent = totalHours.toLocaleString();
+    document.getElementById('calendar-breakdown').textContent = formatCalendarBreakdown(breakdown);
 
     // Calculate fun metrics (optimized - no loop)
     updateFunMetrics(now, retirementDate, days);
 
+    // Update savings projection (path is cached; only the today estimate moves)
+    updateSavingsProjection(now);
+
     // Calculate shared progress values once
-    const progressData = calculateProgress(now, retirementDate);
+    const progressData = calculateProgress(now, retirementDate, employmentStartDate);
 
     // Update progress bar
     updateProgress(progressData);
@@ -134,27 +780,135 @@ function updateCountdown() {
     updateHourglass(progressData, now, retirementDate);
 
     // Update milestones (only when days change)
-    updateMilestones(days);
+    updateMilestones(now, days);
 
     // Update motivation quote
     updateMotivation(days);
 }
 
-// Shared progress calculation to avoid duplication
-function calculateProgress(now, retirement) {
-    const totalTime = retirement - EMPLOYMENT_START_DATE;
-    const elapsed = now - EMPLOYMENT_START_DATE;
-    const percentage = Math.max(0, Math.min(100, (elapsed / totalTime) * 100));
-    return { totalTime, elapsed, percentage };
+// =============================================================================
+// Post-retirement count-up
+// =============================================================================
+
+// Swap the countdown sections for the count-up ones (CSS keys off the body class)
+function setRetiredMode(isRetired) {
+    document.body.classList.toggle('retired-mode', isRetired);
 }
 
-// Optimized fun metrics calculation using math instead of loops
-function updateFunMetrics(now, retirement, days) {
-    const startDate = new Date(now);
-    startDate.setHours(0, 0, 0, 0);
+// Work that would have been scheduled from the day after retirement through today
+function countReclaimedWork(retirement, now, timeZone) {
+    const startDate = getZonedCalendarDate(retirement, timeZone);
+    startDate.setDate(startDate.getDate() + 1);
+    const endDate = getZonedCalendarDate(now, timeZone);
+    endDate.setDate(endDate.getDate() + 1);
 
-    const endDate = new Date(retirement);
-    endDate.setHours(0, 0, 0, 0);
+    const totalDays = Math.round((endDate - startDate) / MS_PER_DAY);
+    if (totalDays <= 0) {
+        return { weekends: 0, workDays: 0, workHours: 0, mondays: 0, fridays: 0, daysOffOnWorkDays: 0 };
+    }
+    return countScheduledWork(startDate, totalDays, workSchedule, getDaysOff(startDate, endDate));
+}
+
+// Whole years retired plus the calendar days of the latest and next anniversaries in the zone
+function getRetirementAnniversaries(retirement, now, timeZone) {
+    const years = calendarDifference(retirement, now, timeZone).years;
+    const wallTime = toWallTime(retirement, timeZone);
+    const toCalendarDate = (yearsAfter) => {
+        const date = new Date(addCalendarMonths(wallTime, yearsAfter * 12));
+        return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    };
+    return {
+        years,
+        lastDate: years > 0 ? toCalendarDate(years) : null,
+        nextDate: toCalendarDate(years + 1)
+    };
+}
+
+function updateCountUp(now) {
+    const { days, hours, minutes, seconds } = getCountdownParts(retirementDate, now, retirementTimeZone);
+    const breakdown = calendarDifference(retirementDate, now, retirementTimeZone);
+
+    document.getElementById('retired-days').textContent = days;
+    document.getElementById('retired-hours').textContent = hours;
+    document.getElementById('retired-minutes').textContent = minutes;
+    document.getElementById('retired-seconds').textContent = seconds;
+    document.getElementById('retired-breakdown').textContent = formatCalendarBreakdown(breakdown);
+
+    const { workDays, workHours, mondays } = countReclaimedWork(retirementDate, now, retirementTimeZone);
+    document.getElementById('mondays-skipped').textContent = mondays.toLocaleString();
+    document.getElementById('work-days-skipped').textContent = workDays.toLocaleString();
+    document.getElementById('hours-reclaimed').textContent = workHours.toLocaleString();
+
+    const { years, lastDate, nextDate } = getRetirementAnniversaries(retirementDate, now, retirementTimeZone);
+    const today = getZonedCalendarDate(now, retirementTimeZone);
+    const daysToAnniversary = Math.round((nextDate - today) / MS_PER_DAY);
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+    // The anniversary day counts as "today" both before and after the retirement hour
+    let anniversaryText = `${plural(years + 1, 'year')} in ${plural(daysToAnniversary, 'day')}`;
+    if (daysToAnniversary === 0) {
+        anniversaryText = `${plural(years + 1, 'year')} today! 🎉`;
+    } else if (lastDate && toDateKey(lastDate) === toDateKey(today)) {
+        anniversaryText = `${plural(years, 'year')} today! 🎉`;
+    }
+
+    document.getElementById('anniversaries').textContent = years;
+    document.getElementById('next-anniversary').textContent = anniversaryText;
+}
+
+// Add calendar months to a wall time, clamping to the end of shorter months
+function addCalendarMonths(wallTime, months) {
+    const d = new Date(wallTime);
+    const year = d.getUTCFullYear();
+    const month = d.getUTCMonth() + months;
+    const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Date.UTC(year, month, Math.min(d.getUTCDate(), lastDayOfMonth),
+        d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+}
+
+// Years, months, days, hours, minutes and seconds between two instants, walking
+// real month boundaries in the zone (e.g. Jan 31 -> Feb 28 counts as one month)
+function calendarDifference(from, to, timeZone) {
+    const start = toWallTime(from, timeZone);
+    const end = toWallTime(to, timeZone);
+    if (end <= start) {
+        return { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+    }
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    let totalMonths = (endDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+        (endDate.getUTCMonth() - startDate.getUTCMonth());
+    while (totalMonths > 0 && addCalendarMonths(start, totalMonths) > end) {
+        totalMonths--;
+    }
+
+    const remainder = Math.floor((end - addCalendarMonths(start, totalMonths)) / 1000);
+    return {
+        years: Math.floor(totalMonths / 12),
+        months: totalMonths % 12,
+        days: Math.floor(remainder / 86400),
+        hours: Math.floor(remainder / 3600) % 24,
+        minutes: Math.floor(remainder / 60) % 60,
+        seconds: remainder % 60
+    };
+}
+
+function formatCalendarBreakdown(breakdown) {
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+    return [
+        plural(breakdown.years, 'year'),
+        plural(breakdown.months, 'month'),
+        plural(breakdown.days, 'day'),
+        plural(breakdown.hours, 'hour')
+    ].join(', ');
+}
+
+// Fun metrics calculation (one schedule cycle, not one loop step per day)
+function updateFunMetrics(now, retirement, days) {
+    // Calendar days as seen in the retirement time zone
+    const startDate = getZonedCalendarDate(now, retirementTimeZone);
+    const endDate = getZonedCalendarDate(retirement, retirementTimeZone);
 
     // Calculate total days
     const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
@@ -167,34 +921,17 @@ function updateFunMetrics(now, retirement, days) {
         document.getElementById('sunrises').textContent = '0';
         document.getElementById('mondays').textContent = '0';
         document.getElementById('fridays').textContent = '0';
+        updateDaysOffSummary(0);
+        updatePaycheckMetrics(startDate, endDate);
         return;
     }
 
-    // Calculate full weeks and remaining days
-    const fullWeeks = Math.floor(totalDays / 7);
-    const remainingDays = totalDays % 7;
-
-    // Base counts from full weeks
-    let weekends = fullWeeks; // Each full week has 1 weekend (Saturday)
-    let workDays = fullWeeks * 5;
-    let mondays = fullWeeks;
-    let fridays = fullWeeks;
-
-    // Count remaining days
-    const startDayOfWeek = startDate.getDay();
-    for (let i = 0; i < remainingDays; i++) {
-        const dayOfWeek = (startDayOfWeek + i) % 7;
-        if (dayOfWeek === 0 || dayOfWeek === 6) {
-            if (dayOfWeek === 6) weekends++;
-        } else {
-            workDays++;
-            if (dayOfWeek === 1) mondays++;
-            if (dayOfWeek === 5) fridays++;
-        }
-    }
-
-    // Calculate work hours (8 hours per work day)
-    const workHours = workDays * 8;
+    // Count work days and hours for the configured schedule, less holidays and PTO
+    const {
+        weekends, workDays, workHours, mondays, fridays, daysOffOnWorkDays
+    } = countScheduledWork(startDate, totalDays, workSchedule, getDaysOff(startDate, endDate));
+    updateDaysOffSummary(daysOffOnWorkDays);
+    updatePaycheckMetrics(startDate, endDate);
 
     document.getElementById('weekends').textContent = weekends;
     document.getElementById('work-days').textContent = workDays.toLocaleString();
@@ -205,6 +942,918 @@ function updateFunMetrics(now, retirement, days) {
     document.getElementById('fridays').textContent = fridays;
 }
 
+// =============================================================================
+// Holiday and PTO calendar (excluded from work-day metrics)
+// =============================================================================
+
+const HOLIDAY_STORAGE_KEY = 'holidayCalendar';
+const MAX_CUSTOM_DAYS_OFF = 500;
+const MAX_DAYS_OFF_RANGE = 366;
+
+let holidayCalendar = { ruleSet: 'none', custom: [] };
+
+// Cache of computed days off, rebuilt when the range changes or the calendar is edited
+let daysOffCache = { key: null, days: null };
+
+// Days off in [start, end) for the saved holiday calendar, cached per range
+function getDaysOff(start, end) {
+    const cacheKey = `${toDateKey(start)}|${toDateKey(end)}`;
+    if (daysOffCache.key === cacheKey) return daysOffCache.days;
+
+    const days = collectDaysOff(start, end, holidayCalendar);
+    daysOffCache = { key: cacheKey, days };
+    return days;
+}
+
+// Validate a custom day-off entry, returning a normalized copy or null
+function sanitizeDaysOffEntry(entry) {
+    if (!entry || !isValidDateKey(entry.start) || !isValidDateKey(entry.end)) return null;
+    const start = parseDateKey(entry.start);
+    const end = parseDateKey(entry.end);
+    if (end < start || (end - start) / (1000 * 60 * 60 * 24) >= MAX_DAYS_OFF_RANGE) return null;
+    const label = typeof entry.label === 'string' && entry.label.trim()
+        ? entry.label.trim().slice(0, MAX_COUNTDOWN_NAME_LENGTH)
+        : 'Time off';
+    return { start: entry.start, end: entry.end, label };
+}
+
+// Unfold iCalendar content lines (RFC 5545 section 3.1)
+function unfoldIcsLines(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// Convert an ICS DATE or DATE-TIME value to a local date key. UTC times (ending
+// in Z) are moved to the viewer's zone first, so late-evening events keep their day.
+function icsValueToDateKey(value) {
+    const utc = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/i.exec(value);
+    if (utc) {
+        const [, year, month, day, hour, minute, second] = utc.map(Number);
+        return toDateKey(new Date(Date.UTC(year, month - 1, day, hour, minute, second)));
+    }
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Extract day-off ranges from an .ics file's VEVENTs
+function parseIcsDaysOff(text) {
+    const entries = [];
+    let event = null;
+
+    unfoldIcsLines(text).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const params = line.slice(0, separator).toUpperCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+            if (event.start) {
+                let end = event.end || event.start;
+                // All-day DTEND is exclusive, so the last day off is the day before
+                if (event.end && event.allDay && end > event.start) {
+                    const lastDay = parseDateKey(end);
+                    lastDay.setDate(lastDay.getDate() - 1);
+                    end = toDateKey(lastDay);
+                }
+                const entry = sanitizeDaysOffEntry({ start: event.start, end, label: event.summary });
+                if (entry) entries.push(entry);
+            }
+            event = null;
+        } else if (event && name === 'DTSTART') {
+            event.start = icsValueToDateKey(value);
+            event.allDay = params.includes('VALUE=DATE') && !params.includes('VALUE=DATE-TIME');
+        } else if (event && name === 'DTEND') {
+            event.end = icsValueToDateKey(value);
+        } else if (event && name === 'SUMMARY') {
+            event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+        }
+    });
+
+    return entries;
+}
+
+// Load holiday calendar from localStorage with error handling
+function loadHolidayCalendar() {
+    try {
+        const saved = localStorage.getItem(HOLIDAY_STORAGE_KEY);
+        if (saved) {
+            const data = JSON.parse(saved);
+            if (!data || !HOLIDAY_RULE_SETS[data.ruleSet] || !Array.isArray(data.custom)) {
+                console.warn('Invalid holiday calendar in localStorage, using default');
+                localStorage.removeItem(HOLIDAY_STORAGE_KEY);
+                return;
+            }
+            holidayCalendar = {
+                ruleSet: data.ruleSet,
+                custom: data.custom.map(sanitizeDaysOffEntry).filter(Boolean).slice(0, MAX_CUSTOM_DAYS_OFF)
+            };
+        }
+    } catch (error) {
+        console.warn('Unable to load holiday calendar:', error);
+        showNotification('Unable to load saved holidays');
+    }
+}
+
+function saveHolidayCalendar() {
+    try {
+        localStorage.setItem(HOLIDAY_STORAGE_KEY, JSON.stringify(holidayCalendar));
+        return true;
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        return false;
+    }
+}
+
+// Save, re-render and recount after any holiday calendar change
+function commitHolidayCalendar(message) {
+    daysOffCache = { key: null, days: null };
+    paydaysCache = { key: null, paydays: null };
+    invalidateMilestones();
+    if (!saveHolidayCalendar()) {
+        showNotification('Holidays updated but could not be saved');
+    } else if (message) {
+        showNotification(message);
+    }
+    renderHolidaySettings();
+    updateCountdown();
+}
+
+function addDaysOff(entries) {
+    const room = MAX_CUSTOM_DAYS_OFF - holidayCalendar.custom.length;
+    const accepted = entries.slice(0, Math.max(0, room));
+    holidayCalendar.custom = holidayCalendar.custom.concat(accepted)
+        .sort((a, b) => a.start.localeCompare(b.start));
+    return accepted.length;
+}
+
+function renderHolidaySettings() {
+    const select = document.getElementById('holiday-rule-set');
+    if (select && select.options.length === 0) {
+        Object.entries(HOLIDAY_RULE_SETS).forEach(([id, ruleSet]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = ruleSet.name;
+            select.appendChild(option);
+        });
+    }
+    if (select) select.value = holidayCalendar.ruleSet;
+
+    const list = document.getElementById('pto-list');
+    if (!list) return;
+    list.textContent = ''; // Clear safely
+
+    holidayCalendar.custom.forEach((entry, index) => {
+        const item = document.createElement('li');
+
+        const text = document.createElement('span');
+        text.textContent = entry.start === entry.end
+            ? `${entry.label}: ${entry.start}`
+            : `${entry.label}: ${entry.start} to ${entry.end}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.setAttribute('aria-label', `Remove ${entry.label}`);
+        removeButton.addEventListener('click', () => {
+            holidayCalendar.custom.splice(index, 1);
+            commitHolidayCalendar('Time off removed');
+        });
+
+        item.appendChild(text);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+}
+
+function updateDaysOffSummary(daysOffOnWorkDays) {
+    const summary = document.getElementById('days-off-summary');
+    if (summary) {
+        summary.textContent = `${daysOffOnWorkDays} holiday and PTO days fall on work days before retirement`;
+    }
+}
+
+document.getElementById('holiday-rule-set').addEventListener('change', (event) => {
+    if (!HOLIDAY_RULE_SETS[event.target.value]) return;
+    holidayCalendar.ruleSet = event.target.value;
+    commitHolidayCalendar('Holiday calendar updated!');
+});
+
+document.getElementById('add-pto').addEventListener('click', () => {
+    const start = document.getElementById('pto-start').value;
+    const end = document.getElementById('pto-end').value || start;
+    const label = document.getElementById('pto-label').value;
+
+    if (!start) {
+        showNotification('Please select a start date for the time off');
+        return;
+    }
+
+    const entry = sanitizeDaysOffEntry({ start, end, label });
+    if (!entry) {
+        showNotification(`Time off must end after it starts and span under ${MAX_DAYS_OFF_RANGE} days`);
+        return;
+    }
+
+    if (addDaysOff([entry]) === 0) {
+        showNotification(`Cannot store more than ${MAX_CUSTOM_DAYS_OFF} time off entries`);
+        return;
+    }
+
+    document.getElementById('pto-start').value = '';
+    document.getElementById('pto-end').value = '';
+    document.getElementById('pto-label').value = '';
+    commitHolidayCalendar('Time off added!');
+});
+
+document.getElementById('ics-import').addEventListener('change', (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(text => {
+            const entries = parseIcsDaysOff(text);
+            if (entries.length === 0) {
+                showNotification('No events found in that calendar file');
+                return;
+            }
+            const added = addDaysOff(entries);
+            commitHolidayCalendar(`Imported ${added} of ${entries.length} calendar events`);
+        })
+        .catch(error => {
+            console.warn('Unable to read calendar file:', error);
+            showNotification('Unable to read that calendar file');
+        })
+        .finally(() => {
+            event.target.value = '';
+        });
+});
+
+// =============================================================================
+// Work schedule (working weekdays, hours per day, multi-week cycles)
+// =============================================================================
+
+const SCHEDULE_STORAGE_KEY = 'workSchedule';
+const MAX_SCHEDULE_WEEKS = 4;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let workSchedule = {
+    weeks: WORK_SCHEDULE_PRESETS.standard.weeks.map(week => week.slice()),
+    anchor: DEFAULT_SCHEDULE_ANCHOR
+};
+
+// Validate a schedule, returning a normalized copy or null
+function sanitizeWorkSchedule(schedule) {
+    if (!schedule || !Array.isArray(schedule.weeks) || !isValidDateKey(schedule.anchor)) return null;
+    if (schedule.weeks.length < 1 || schedule.weeks.length > MAX_SCHEDULE_WEEKS) return null;
+
+    const weeks = [];
+    for (const week of schedule.weeks) {
+        if (!Array.isArray(week) || week.length !== 7) return null;
+        if (!week.every(hours => typeof hours === 'number' && isFinite(hours) && hours >= 0 && hours <= 24)) return null;
+        weeks.push(week.slice());
+    }
+    if (!weeks.some(week => week.some(hours => hours > 0))) return null;
+
+    return { weeks, anchor: schedule.anchor };
+}
+
+// Load work schedule from localStorage with error handling
+function loadWorkSchedule() {
+    try {
+        const saved = localStorage.getItem(SCHEDULE_STORAGE_KEY);
+        if (saved) {
+            const schedule = sanitizeWorkSchedule(JSON.parse(saved));
+            if (!schedule) {
+                console.warn('Invalid work schedule in localStorage, using default');
+                localStorage.removeItem(SCHEDULE_STORAGE_KEY);
+                return;
+            }
+            workSchedule = schedule;
+        }
+    } catch (error) {
+        console.warn('Unable to load work schedule:', error);
+        showNotification('Unable to load saved work schedule');
+    }
+}
+
+function findSchedulePreset(weeks) {
+    const match = Object.entries(WORK_SCHEDULE_PRESETS)
+        .find(([, preset]) => JSON.stringify(preset.weeks) === JSON.stringify(weeks));
+    return match ? match[0] : 'custom';
+}
+
+function renderScheduleGrid(weeks) {
+    const grid = document.getElementById('schedule-grid');
+    if (!grid) return;
+    grid.textContent = ''; // Clear safely
+
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(document.createElement('th'));
+    WEEKDAY_NAMES.forEach(name => {
+        const th = document.createElement('th');
+        th.setAttribute('scope', 'col');
+        th.textContent = name.slice(0, 3);
+        headerRow.appendChild(th);
+    });
+    grid.appendChild(headerRow);
+
+    weeks.forEach((week, weekIndex) => {
+        const row = document.createElement('tr');
+        const label = document.createElement('th');
+        label.setAttribute('scope', 'row');
+        label.textContent = `Week ${weekIndex + 1}`;
+        row.appendChild(label);
+
+        week.forEach((hours, dayIndex) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = '24';
+            input.step = '0.5';
+            input.value = String(hours);
+            input.dataset.week = weekIndex;
+            input.dataset.day = dayIndex;
+            input.setAttribute('aria-label', `Week ${weekIndex + 1} ${WEEKDAY_NAMES[dayIndex]} hours`);
+            input.addEventListener('input', () => {
+                document.getElementById('schedule-preset').value = 'custom';
+            });
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        grid.appendChild(row);
+    });
+}
+
+function readScheduleGrid() {
+    const weekCount = Number(document.getElementById('schedule-weeks').value);
+    const weeks = Array.from({ length: weekCount }, () => new Array(7).fill(0));
+    document.querySelectorAll('#schedule-grid input').forEach(input => {
+        weeks[Number(input.dataset.week)][Number(input.dataset.day)] = input.value === '' ? NaN : Number(input.value);
+    });
+    return weeks;
+}
+
+function renderScheduleSettings() {
+    const presetSelect = document.getElementById('schedule-preset');
+    if (presetSelect && presetSelect.options.length === 0) {
+        Object.entries(WORK_SCHEDULE_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom';
+        presetSelect.appendChild(customOption);
+    }
+    if (presetSelect) presetSelect.value = findSchedulePreset(workSchedule.weeks);
+
+    document.getElementById('schedule-weeks').value = String(workSchedule.weeks.length);
+    document.getElementById('schedule-anchor').value = workSchedule.anchor;
+    renderScheduleGrid(workSchedule.weeks);
+}
+
+document.getElementById('schedule-preset').addEventListener('change', (event) => {
+    const preset = WORK_SCHEDULE_PRESETS[event.target.value];
+    if (!preset) return;
+    document.getElementById('schedule-weeks').value = String(preset.weeks.length);
+    renderScheduleGrid(preset.weeks);
+});
+
+document.getElementById('schedule-weeks').addEventListener('change', (event) => {
+    const current = readScheduleGrid();
+    const weekCount = Number(event.target.value);
+    // Extend with copies of week 1 so a new cycle starts from the familiar pattern
+    const weeks = Array.from({ length: weekCount }, (_, i) => (current[i] || current[0]).slice());
+    document.getElementById('schedule-preset').value = findSchedulePreset(weeks);
+    renderScheduleGrid(weeks);
+});
+
+document.getElementById('save-schedule').addEventListener('click', () => {
+    const schedule = sanitizeWorkSchedule({
+        weeks: readScheduleGrid(),
+        anchor: document.getElementById('schedule-anchor').value
+    });
+
+    if (!schedule) {
+        showNotification('Hours must be 0-24 with at least one work day, and the cycle needs a start date');
+        return;
+    }
+
+    workSchedule = schedule;
+    invalidateMilestones();
+    try {
+        localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(workSchedule));
+        showNotification('Work schedule updated!');
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        showNotification('Schedule updated but could not be saved');
+    }
+    renderScheduleSettings();
+    updateCountdown();
+});
+
+// =============================================================================
+// Pay schedule (paychecks remaining and next payday)
+// =============================================================================
+
+const PAY_SCHEDULE_STORAGE_KEY = 'paySchedule';
+const PAY_FREQUENCIES = {
+    'weekly': 'Weekly',
+    'biweekly': 'Every two weeks',
+    'semimonthly': 'Twice a month (15th and last day)',
+    'monthly': 'Monthly'
+};
+
+// anchor is a known payday for weekly/biweekly; dayOfMonth applies to monthly (31 = last day)
+let paySchedule = { frequency: 'biweekly', anchor: '2024-01-05', dayOfMonth: 31 };
+
+// Cache of computed paydays, rebuilt when the range changes or settings are edited
+let paydaysCache = { key: null, paydays: null };
+
+// Validate a pay schedule, returning a normalized copy or null
+function sanitizePaySchedule(schedule) {
+    if (!schedule || !PAY_FREQUENCIES[schedule.frequency] || !isValidDateKey(schedule.anchor)) return null;
+    const dayOfMonth = Number(schedule.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) return null;
+    return { frequency: schedule.frequency, anchor: schedule.anchor, dayOfMonth };
+}
+
+// Scheduled (unadjusted) paydays from start through end
+function getNominalPaydays(schedule, start, end) {
+    const paydays = [];
+
+    if (schedule.frequency === 'weekly' || schedule.frequency === 'biweekly') {
+        const step = schedule.frequency === 'weekly' ? 7 : 14;
+        const anchor = parseDateKey(schedule.anchor);
+        const periodsToStart = Math.ceil(Math.round((start - anchor) / MS_PER_DAY) / step);
+        const payday = new Date(anchor);
+        payday.setDate(payday.getDate() + periodsToStart * step);
+        while (payday <= end) {
+            paydays.push(new Date(payday));
+            payday.setDate(payday.getDate() + step);
+        }
+        return paydays;
+    }
+
+    for (let year = start.getFullYear(), month = start.getMonth();
+        new Date(year, month, 1) <= end; month++) {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        const days = schedule.frequency === 'semimonthly'
+            ? [15, lastDay]
+            : [Math.min(schedule.dayOfMonth, lastDay)];
+        days.forEach(day => {
+            const payday = new Date(year, month, day);
+            if (payday >= start && payday <= end) paydays.push(payday);
+        });
+    }
+    return paydays;
+}
+
+// Move a payday on a weekend or bank holiday back to the previous business day
+function rollBackPayday(date, holidayKeys) {
+    const payday = new Date(date);
+    while (payday.getDay() === 0 || payday.getDay() === 6 || holidayKeys.has(toDateKey(payday))) {
+        payday.setDate(payday.getDate() - 1);
+    }
+    return payday;
+}
+
+// Paydays from start through end for the metric cards (cached per day)
+function getPaydays(start, end) {
+    const cacheKey = `${toDateKey(start)}|${toDateKey(end)}`;
+    if (paydaysCache.key === cacheKey) return paydaysCache.paydays;
+
+    const paydays = computePaydays(start, end);
+    paydaysCache = { key: cacheKey, paydays };
+    return paydays;
+}
+
+// Actual paydays from start through end (local calendar dates)
+function computePaydays(start, end) {
+    // Only the holiday rule set counts here; personal PTO does not move paydays
+    const holidayKeys = new Set();
+    for (let year = start.getFullYear(); year <= end.getFullYear() + 1; year++) {
+        getRuleSetHolidays(holidayCalendar.ruleSet, year).forEach(h => holidayKeys.add(toDateKey(h.date)));
+    }
+
+    // Look a week past the end: a payday just after it can roll back into range
+    const lookAhead = new Date(end);
+    lookAhead.setDate(lookAhead.getDate() + 7);
+
+    return getNominalPaydays(paySchedule, start, lookAhead)
+        .map(payday => rollBackPayday(payday, holidayKeys))
+        .filter(payday => payday >= start && payday <= end);
+}
+
+function updatePaycheckMetrics(startDate, endDate) {
+    const paydays = endDate >= startDate ? getPaydays(startDate, endDate) : [];
+    document.getElementById('paychecks').textContent = paydays.length.toLocaleString();
+    document.getElementById('next-payday').textContent = paydays.length > 0
+        ? paydays[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        : '-';
+}
+
+// Load pay schedule from localStorage with error handling
+function loadPaySchedule() {
+    try {
+        const saved = localStorage.getItem(PAY_SCHEDULE_STORAGE_KEY);
+        if (saved) {
+            const schedule = sanitizePaySchedule(JSON.parse(saved));
+            if (!schedule) {
+                console.warn('Invalid pay schedule in localStorage, using default');
+                localStorage.removeItem(PAY_SCHEDULE_STORAGE_KEY);
+                return;
+            }
+            paySchedule = schedule;
+        }
+    } catch (error) {
+        console.warn('Unable to load pay schedule:', error);
+        showNotification('Unable to load saved pay schedule');
+    }
+}
+
+function renderPayScheduleSettings() {
+    const select = document.getElementById('pay-frequency');
+    if (select && select.options.length === 0) {
+        Object.entries(PAY_FREQUENCIES).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+    if (select) select.value = paySchedule.frequency;
+
+    document.getElementById('pay-anchor').value = paySchedule.anchor;
+    document.getElementById('pay-day-of-month').value = String(paySchedule.dayOfMonth);
+    updatePayScheduleFields();
+}
+
+// Only show the inputs that apply to the selected frequency
+function updatePayScheduleFields() {
+    const frequency = document.getElementById('pay-frequency').value;
+    const usesAnchor = frequency === 'weekly' || frequency === 'biweekly';
+    document.getElementById('pay-anchor-field').hidden = !usesAnchor;
+    document.getElementById('pay-day-field').hidden = frequency !== 'monthly';
+}
+
+document.getElementById('pay-frequency').addEventListener('change', updatePayScheduleFields);
+
+document.getElementById('save-pay-schedule').addEventListener('click', () => {
+    const schedule = sanitizePaySchedule({
+        frequency: document.getElementById('pay-frequency').value,
+        anchor: document.getElementById('pay-anchor').value,
+        dayOfMonth: Number(document.getElementById('pay-day-of-month').value)
+    });
+
+    if (!schedule) {
+        showNotification('Choose a frequency, a recent payday and a day of month from 1 to 31');
+        return;
+    }
+
+    paySchedule = schedule;
+    paydaysCache = { key: null, paydays: null };
+    try {
+        localStorage.setItem(PAY_SCHEDULE_STORAGE_KEY, JSON.stringify(paySchedule));
+        showNotification('Pay schedule updated!');
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        showNotification('Pay schedule updated but could not be saved');
+    }
+    updateCountdown();
+});
+
+// =============================================================================
+// Retirement savings projection (computed client-side only)
+// =============================================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SAVINGS_CHART_WIDTH = 600;
+const SAVINGS_CHART_HEIGHT = 200;
+const MAX_SAVINGS_CHART_POINTS = 400;
+
+// Allowed range for each savings input
+const FINANCE_LIMITS = {
+    balance: [0, 1e9],
+    contribution: [0, 1e6],
+    matchPercent: [0, 200],
+    annualReturn: [-20, 20]
+};
+
+// Cache of the projection path, rebuilt when any of its inputs change
+let savingsProjectionCache = { key: null, projection: null };
+
+// Validate savings inputs, returning a normalized copy or null
+function sanitizeFinances(finances) {
+    if (!finances || !isValidDateKey(finances.asOf)) return null;
+    const sanitized = { asOf: finances.asOf };
+    for (const [field, [min, max]] of Object.entries(FINANCE_LIMITS)) {
+        const value = finances[field];
+        if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) return null;
+        sanitized[field] = value;
+    }
+    return sanitized;
+}
+
+function formatCurrency(amount) {
+    return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
+
+// Compound the balance between paydays and add each contribution plus match
+function projectSavings(finances, paydays, start, end) {
+    const growth = days => Math.pow(1 + finances.annualReturn / 100, days / 365.25);
+    const perPaycheck = finances.contribution * (1 + finances.matchPercent / 100);
+
+    let balance = finances.balance;
+    let contributed = 0;
+    let last = start;
+    const points = [{ time: start.getTime(), balance }];
+
+    paydays.forEach(payday => {
+        if (payday <= start || payday > end) return;
+        balance = balance * growth((payday - last) / MS_PER_DAY) + perPaycheck;
+        contributed += perPaycheck;
+        last = payday;
+        points.push({ time: payday.getTime(), balance });
+    });
+
+    balance *= growth((end - last) / MS_PER_DAY);
+    points.push({ time: end.getTime(), balance });
+
+    return { points, finalBalance: balance, contributed, annualReturn: finances.annualReturn };
+}
+
+// Balance on the projected path at a given moment
+function estimateBalanceAt(projection, time) {
+    let point = projection.points[0];
+    for (const candidate of projection.points) {
+        if (candidate.time > time) break;
+        point = candidate;
+    }
+    const days = Math.max(0, Math.min(time, projection.points[projection.points.length - 1].time) - point.time) / MS_PER_DAY;
+    return point.balance * Math.pow(1 + projection.annualReturn / 100, days / 365.25);
+}
+
+function getSavingsProjection(finances) {
+    const cacheKey = JSON.stringify([finances, retirementDate.getTime(), retirementTimeZone, paySchedule, holidayCalendar.ruleSet]);
+    if (savingsProjectionCache.key === cacheKey) return savingsProjectionCache.projection;
+
+    const start = parseDateKey(finances.asOf);
+    const end = getZonedCalendarDate(retirementDate, retirementTimeZone);
+    const paydays = end > start ? computePaydays(start, end) : [];
+    const projection = projectSavings(finances, paydays, start, end > start ? end : start);
+
+    savingsProjectionCache = { key: cacheKey, projection };
+    renderSavingsChart(projection);
+    return projection;
+}
+
+function createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Draw the projected balance path (DOM-built SVG, no innerHTML)
+function renderSavingsChart(projection) {
+    const chart = document.getElementById('savings-chart');
+    if (!chart) return;
+    chart.textContent = ''; // Clear safely
+
+    const { points } = projection;
+    const step = Math.ceil(points.length / MAX_SAVINGS_CHART_POINTS);
+    const sampled = points.filter((point, i) => i % step === 0 || i === points.length - 1);
+
+    const minTime = points[0].time;
+    const timeSpan = Math.max(1, points[points.length - 1].time - minTime);
+    const maxBalance = Math.max(1, ...points.map(p => p.balance));
+    const x = time => ((time - minTime) / timeSpan) * SAVINGS_CHART_WIDTH;
+    const y = balance => SAVINGS_CHART_HEIGHT - (Math.max(0, balance) / maxBalance) * (SAVINGS_CHART_HEIGHT - 20);
+
+    const coordinates = sampled.map(p => `${x(p.time).toFixed(1)},${y(p.balance).toFixed(1)}`);
+    chart.appendChild(createSvgElement('polygon', {
+        class: 'savings-area',
+        points: `0,${SAVINGS_CHART_HEIGHT} ${coordinates.join(' ')} ${SAVINGS_CHART_WIDTH},${SAVINGS_CHART_HEIGHT}`
+    }));
+    chart.appendChild(createSvgElement('polyline', { class: 'savings-line', points: coordinates.join(' ') }));
+
+    const maxLabel = createSvgElement('text', { class: 'savings-axis-label', x: 4, y: 14 });
+    maxLabel.textContent = formatCurrency(maxBalance);
+    chart.appendChild(maxLabel);
+
+    chart.appendChild(createSvgElement('line', {
+        id: 'savings-today-marker',
+        class: 'savings-today',
+        x1: 0, x2: 0, y1: 0, y2: SAVINGS_CHART_HEIGHT
+    }));
+
+    // Stash the scale so the today marker can move without a full redraw
+    chart.dataset.minTime = minTime;
+    chart.dataset.timeSpan = timeSpan;
+}
+
+function updateSavingsProjection(now) {
+    const finances = getActiveCountdown().finances;
+    const results = document.getElementById('savings-results');
+    const chart = document.getElementById('savings-chart');
+    if (!results || !chart) return;
+
+    if (!finances) {
+        results.textContent = 'Enter your savings details to see a projection.';
+        chart.textContent = '';
+        savingsProjectionCache = { key: null, projection: null };
+        return;
+    }
+
+    const projection = getSavingsProjection(finances);
+    const today = estimateBalanceAt(projection, now.getTime());
+    results.textContent = `Projected at retirement: ${formatCurrency(projection.finalBalance)} · ` +
+        `Estimated today: ${formatCurrency(today)} · ` +
+        `Contributions with match: ${formatCurrency(projection.contributed)}`;
+    chart.setAttribute('aria-label',
+        `Projected savings growing to ${formatCurrency(projection.finalBalance)} by retirement`);
+
+    const marker = document.getElementById('savings-today-marker');
+    if (marker) {
+        const offset = (now.getTime() - Number(chart.dataset.minTime)) / Number(chart.dataset.timeSpan);
+        const markerX = Math.max(0, Math.min(1, offset)) * SAVINGS_CHART_WIDTH;
+        marker.setAttribute('x1', markerX.toFixed(1));
+        marker.setAttribute('x2', markerX.toFixed(1));
+    }
+}
+
+function renderFinanceSettings() {
+    const finances = getActiveCountdown().finances;
+    document.getElementById('savings-balance').value = finances ? finances.balance : '';
+    document.getElementById('savings-contribution').value = finances ? finances.contribution : '';
+    document.getElementById('savings-match').value = finances ? finances.matchPercent : '';
+    document.getElementById('savings-return').value = finances ? finances.annualReturn : '';
+}
+
+// Read a number input, treating an empty field as invalid rather than zero
+function readNumberInput(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? NaN : Number(value);
+}
+
+document.getElementById('save-savings').addEventListener('click', () => {
+    const finances = sanitizeFinances({
+        balance: readNumberInput('savings-balance'),
+        contribution: readNumberInput('savings-contribution'),
+        matchPercent: readNumberInput('savings-match'),
+        annualReturn: readNumberInput('savings-return'),
+        // The balance is as of today; the projection grows it from here
+        asOf: toDateKey(new Date())
+    });
+
+    if (!finances) {
+        showNotification('Check the savings fields: match 0-200%, return -20% to 20%');
+        return;
+    }
+
+    getActiveCountdown().finances = finances;
+    if (!saveCountdowns()) {
+        showNotification('Savings updated but could not be saved');
+    } else {
+        showNotification('Savings projection updated!');
+    }
+    updateCountdown();
+});
+
+// =============================================================================
+// Age-based retirement date calculator
+// =============================================================================
+
+const DAYS_PER_YEAR = 365.25;
+const CALCULATOR_MODES = {
+    'age': 'Reach a target age',
+    'rule': 'Age + years of service reaches a total',
+    'service': 'Complete years of service'
+};
+
+// Calendar date (as a local-midnight Date) a number of years and months after another
+function addYearsAndMonths(date, years, months) {
+    const wallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const result = new Date(addCalendarMonths(wallTime, years * 12 + months));
+    return new Date(result.getUTCFullYear(), result.getUTCMonth(), result.getUTCDate());
+}
+
+// Earliest day on which age + service (both in fractional years) reaches the total.
+// Both grow one year per year, so the crossing is the midpoint shifted by total/2 years.
+function findRuleOfNDate(birthDate, startDate, total, minimumAge) {
+    const midpoint = (birthDate.getTime() + startDate.getTime()) / 2;
+    const crossing = new Date(midpoint + (total / 2) * DAYS_PER_YEAR * MS_PER_DAY);
+    let result = new Date(crossing.getFullYear(), crossing.getMonth(), crossing.getDate());
+    if (result < crossing) result.setDate(result.getDate() + 1);
+
+    if (minimumAge > 0) {
+        const minimumAgeDate = addYearsAndMonths(birthDate, minimumAge, 0);
+        if (minimumAgeDate > result) result = minimumAgeDate;
+    }
+    return result;
+}
+
+// Work out the retirement day for the calculator inputs; returns { date, description } or { error }
+function calculateRetirementDay(mode, inputs) {
+    const years = inputs.years;
+    const months = inputs.months;
+
+    if (mode === 'age' || mode === 'rule') {
+        if (!isValidDateKey(inputs.birthDate)) return { error: 'Please enter your birth date' };
+    }
+
+    if (mode === 'age') {
+        if (!Number.isInteger(years) || years < 1 || years > 120 || !Number.isInteger(months) || months < 0 || months > 11) {
+            return { error: 'Enter a target age in whole years and 0-11 months' };
+        }
+        return {
+            date: addYearsAndMonths(parseDateKey(inputs.birthDate), years, months),
+            description: months > 0 ? `Age ${years} and ${months} months` : `Age ${years}`
+        };
+    }
+
+    // Service is measured from the employment start date already configured
+    const startDay = getZonedCalendarDate(employmentStartDate, retirementTimeZone);
+
+    if (mode === 'rule') {
+        const total = inputs.ruleTotal;
+        const minimumAge = inputs.minimumAge;
+        if (!isFinite(total) || total < 1 || total > 200) return { error: 'Enter a rule total such as 85' };
+        if (!Number.isInteger(minimumAge) || minimumAge < 0 || minimumAge > 120) {
+            return { error: 'Minimum age must be a whole number (0 for none)' };
+        }
+        return {
+            date: findRuleOfNDate(parseDateKey(inputs.birthDate), startDay, total, minimumAge),
+            description: minimumAge > 0
+                ? `Age + service reaches ${total} (minimum age ${minimumAge})`
+                : `Age + service reaches ${total}`
+        };
+    }
+
+    if (!Number.isInteger(years) || years < 1 || years > 60 || !Number.isInteger(months) || months < 0 || months > 11) {
+        return { error: 'Enter years of service in whole years and 0-11 months' };
+    }
+    return {
+        date: addYearsAndMonths(startDay, years, months),
+        description: `${years} years${months > 0 ? ` and ${months} months` : ''} of service`
+    };
+}
+
+function renderCalculatorSettings() {
+    const select = document.getElementById('calc-mode');
+    if (select && select.options.length === 0) {
+        Object.entries(CALCULATOR_MODES).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+    updateCalculatorFields();
+}
+
+// Only show the inputs that apply to the selected mode
+function updateCalculatorFields() {
+    const mode = document.getElementById('calc-mode').value;
+    document.getElementById('calc-birth-field').hidden = mode === 'service';
+    document.getElementById('calc-duration-field').hidden = mode === 'rule';
+    document.getElementById('calc-rule-field').hidden = mode !== 'rule';
+    document.getElementById('calc-years-label').textContent = mode === 'service' ? 'Years of service:' : 'Age:';
+}
+
+document.getElementById('calc-mode').addEventListener('change', updateCalculatorFields);
+
+document.getElementById('calculate-date').addEventListener('click', () => {
+    const mode = document.getElementById('calc-mode').value;
+    const result = calculateRetirementDay(mode, {
+        birthDate: document.getElementById('calc-birth-date').value,
+        years: readNumberInput('calc-years'),
+        months: document.getElementById('calc-months').value === '' ? 0 : readNumberInput('calc-months'),
+        ruleTotal: readNumberInput('calc-rule-total'),
+        minimumAge: document.getElementById('calc-minimum-age').value === '' ? 0 : readNumberInput('calc-minimum-age')
+    });
+
+    if (result.error) {
+        showNotification(result.error);
+        return;
+    }
+
+    // Keep the time of day already chosen for the retirement moment
+    const currentValue = document.getElementById('retirement-date').value;
+    const timeOfDay = currentValue.includes('T') ? currentValue.split('T')[1] : '17:00';
+    const dateValue = `${toDateKey(result.date)}T${timeOfDay}`;
+
+    document.getElementById('calc-result').textContent =
+        `${result.description}: ${result.date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`;
+
+    // Same validation and persistence as the date picker
+    updateRetirementDate(dateValue, document.getElementById('retirement-time-zone').value);
+});
+
 function updateProgress(progressData) {
     const { percentage } = progressData;
 
@@ -217,10 +1866,17 @@ function updateProgress(progressData) {
         progressBar.setAttribute('aria-valuenow', Math.round(percentage));
     }
 
-    // Update end date display
-    const endDateOptions = { year: 'numeric', month: 'short', day: 'numeric' };
+    // Update start and end date display
+    const endDateOptions = { year: 'numeric', month: 'short', day: 'numeric', timeZone: retirementTimeZone };
+    document.getElementById('start-date').textContent = employmentStartDate.toLocaleDateString('en-US', endDateOptions);
     document.getElementById('end-date').textContent = retirementDate.toLocaleDateString('en-US', endDateOptions);
 
+    const startMarker = document.getElementById('start-marker');
+    if (startMarker) {
+        const longDateOptions = { year: 'numeric', month: 'long', day: 'numeric', timeZone: retirementTimeZone };
+        startMarker.setAttribute('aria-label', `Start: Day One, ${employmentStartDate.toLocaleDateString('en-US', longDateOptions)}`);
+    }
+
     let description = '';
     if (percentage < 25) {
         description = 'The journey has begun!';
@@ -288,38 +1944,95 @@ function updateHourglass(progressData, now, retirement) {
     }
 }
 
+// =============================================================================
+// Milestones (timeline, thermometer markings and celebrations share one list)
+// =============================================================================
+
+const MILESTONES_STORAGE_KEY = 'milestones';
+const MAX_MILESTONES = 30;
+const MAX_MILESTONE_ICON_LENGTH = 8; // code points, enough for joined emoji sequences
+const MILESTONE_TYPES = {
+    'days': 'Days left',
+    'workdays': 'Work days left',
+    'date': 'On a date'
+};
+
+let milestones = DEFAULT_MILESTONES.map(m => ({ ...m }));
+
+// Milestones resolved to days before retirement, rebuilt daily or when inputs change
+let milestoneCache = { key: null, milestones: [] };
+
 // Cache for milestone DOM to avoid rebuilding every second
 let lastMilestoneDays = null;
 
-function updateMilestones(days) {
+// Validate a milestone, returning a normalized copy or null
+function sanitizeMilestone(milestone) {
+    if (!milestone || !MILESTONE_TYPES[milestone.type]) return null;
+    if (milestone.type === 'date') {
+        if (!isValidDateKey(milestone.value)) return null;
+    } else if (!Number.isInteger(milestone.value) || milestone.value < 1 || milestone.value > MAX_MILESTONE_DAYS) {
+        return null;
+    }
+
+    const icon = typeof milestone.icon === 'string' ? milestone.icon.trim() : '';
+    const text = typeof milestone.text === 'string' ? milestone.text.trim() : '';
+    if (!icon || [...icon].length > MAX_MILESTONE_ICON_LENGTH) return null;
+    if (!text || text.length > MAX_COUNTDOWN_NAME_LENGTH) return null;
+
+    const result = { type: milestone.type, value: milestone.value, icon, text };
+    const emoji = typeof milestone.emoji === 'string' ? milestone.emoji.trim() : '';
+    if (emoji && [...emoji].length <= MAX_MILESTONE_ICON_LENGTH) result.emoji = emoji;
+    return result;
+}
+
+// Resolve every milestone to the day count at which it is reached, furthest first
+function getResolvedMilestones(now) {
+    const today = getZonedCalendarDate(now, retirementTimeZone);
+    const endDate = getZonedCalendarDate(retirementDate, retirementTimeZone);
+    const cacheKey = `${toDateKey(today)}|${toDateKey(endDate)}|${retirementTimeZone}`;
+    if (milestoneCache.key === cacheKey) return milestoneCache.milestones;
+
+    // Days off are only collected from today onward; earlier days use the schedule alone
+    const resolved = resolveMilestones(milestones, endDate, workSchedule, getDaysOff(today, endDate));
+
+    milestoneCache = { key: cacheKey, milestones: resolved };
+    return resolved;
+}
+
+// Force the timeline and markings to rebuild after milestones or their inputs change
+function invalidateMilestones() {
+    milestoneCache = { key: null, milestones: [] };
+    lastMilestoneDays = null;
+}
+
+function formatMilestoneThreshold(milestone) {
+    if (milestone.type === 'date') {
+        return parseDateKey(milestone.value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+    return milestone.type === 'workdays' ? `${milestone.value} work days` : `${milestone.value} days`;
+}
+
+function updateMilestones(now, days) {
     // Only rebuild if days changed
     if (days === lastMilestoneDays) return;
     lastMilestoneDays = days;
 
-    const allMilestones = [
-        { threshold: 730, icon: '🎯', text: '2 Years to Go', emoji: '📅' },
-        { threshold: 365, icon: '🎆', text: 'One Year Left', emoji: '🗓️' },
-        { threshold: 180, icon: '🌸', text: '6 Months Away', emoji: '⏳' },
-        { threshold: 100, icon: '💯', text: 'Double Digits', emoji: '🎊' },
-        { threshold: 50, icon: '⚡', text: '50 Days Left', emoji: '🎉' },
-        { threshold: 30, icon: '🎪', text: 'One Month', emoji: '📆' },
-        { threshold: 7, icon: '⭐', text: 'Final Week', emoji: '🎯' },
-        { threshold: 1, icon: '🔥', text: 'LAST DAY!', emoji: '🚀' }
-    ];
+    const resolved = getResolvedMilestones(now);
+    renderThermometerMarkings(resolved);
 
     const container = document.getElementById('milestones');
     container.textContent = ''; // Clear safely
 
-    allMilestones.forEach(m => {
+    resolved.forEach(m => {
         let state = '';
         let displayIcon = '';
         let stateLabel = '';
 
-        if (days <= m.threshold) {
+        if (days <= m.daysBefore) {
             state = 'achieved';
             displayIcon = '✅';
             stateLabel = 'Completed';
-        } else if (days <= m.threshold + 30 && days > m.threshold) {
+        } else if (days <= m.daysBefore + 30 && days > m.daysBefore) {
             state = 'active';
             displayIcon = m.icon;
             stateLabel = 'In progress';
@@ -329,12 +2042,14 @@ function updateMilestones(days) {
             stateLabel = 'Upcoming';
         }
 
+        const thresholdLabel = formatMilestoneThreshold(m);
+
         // Create elements safely (no innerHTML XSS risk)
         const milestone = document.createElement('div');
         milestone.className = `milestone ${state}`;
-        milestone.dataset.threshold = m.threshold;
+        milestone.dataset.threshold = m.daysBefore;
         milestone.setAttribute('role', 'article');
-        milestone.setAttribute('aria-label', `${m.text}, ${m.threshold} days. Status: ${stateLabel}`);
+        milestone.setAttribute('aria-label', `${m.text}, ${thresholdLabel}. Status: ${stateLabel}`);
 
         const iconWrapper = document.createElement('div');
         iconWrapper.className = 'milestone-icon-wrapper';
@@ -343,14 +2058,15 @@ function updateMilestones(days) {
         iconSpan.className = 'milestone-icon';
         iconSpan.setAttribute('aria-hidden', 'true');
         iconSpan.textContent = displayIcon;
-
-        const emojiSpan = document.createElement('span');
-        emojiSpan.className = 'milestone-emoji';
-        emojiSpan.setAttribute('aria-hidden', 'true');
-        emojiSpan.textContent = m.emoji;
-
         iconWrapper.appendChild(iconSpan);
-        iconWrapper.appendChild(emojiSpan);
+
+        if (m.emoji) {
+            const emojiSpan = document.createElement('span');
+            emojiSpan.className = 'milestone-emoji';
+            emojiSpan.setAttribute('aria-hidden', 'true');
+            emojiSpan.textContent = m.emoji;
+            iconWrapper.appendChild(emojiSpan);
+        }
 
         const textSpan = document.createElement('span');
         textSpan.className = 'milestone-text';
@@ -358,7 +2074,7 @@ function updateMilestones(days) {
 
         const daysSpan = document.createElement('span');
         daysSpan.className = 'milestone-days';
-        daysSpan.textContent = m.threshold + ' days';
+        daysSpan.textContent = thresholdLabel;
 
         milestone.appendChild(iconWrapper);
         milestone.appendChild(textSpan);
@@ -368,6 +2084,150 @@ function updateMilestones(days) {
     });
 }
 
+// Position of a marking from the top of the tube. A log scale keeps the final
+// weeks readable next to milestones that are years away.
+function getMarkingPosition(daysBefore, maxDays) {
+    return 100 - 98 * Math.log1p(daysBefore) / Math.log1p(maxDays);
+}
+
+function renderThermometerMarkings(resolved) {
+    const container = document.getElementById('thermometer-markings');
+    if (!container) return;
+    container.textContent = ''; // Clear safely
+
+    const dayCounts = [...new Set(resolved.map(m => m.daysBefore))];
+    const maxDays = Math.max(1, ...dayCounts);
+
+    dayCounts.concat(0).forEach(daysBefore => {
+        const marking = document.createElement('div');
+        marking.className = daysBefore === 0 ? 'marking major' : 'marking';
+        marking.dataset.days = daysBefore;
+        if (daysBefore > 0) marking.style.top = getMarkingPosition(daysBefore, maxDays) + '%';
+
+        const label = document.createElement('span');
+        label.textContent = daysBefore;
+        marking.appendChild(label);
+        container.appendChild(marking);
+    });
+}
+
+function loadMilestones() {
+    try {
+        const saved = localStorage.getItem(MILESTONES_STORAGE_KEY);
+        if (saved) {
+            const data = JSON.parse(saved);
+            if (!data || !Array.isArray(data.milestones)) {
+                console.warn('Invalid milestones in localStorage, using default');
+                localStorage.removeItem(MILESTONES_STORAGE_KEY);
+                return;
+            }
+            milestones = data.milestones.map(sanitizeMilestone).filter(Boolean).slice(0, MAX_MILESTONES);
+        }
+    } catch (error) {
+        console.warn('Unable to load milestones:', error);
+        showNotification('Unable to load saved milestones');
+    }
+}
+
+function saveMilestones() {
+    try {
+        localStorage.setItem(MILESTONES_STORAGE_KEY, JSON.stringify({ milestones }));
+        return true;
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        return false;
+    }
+}
+
+// Save, re-render and rebuild the timeline after any milestone change
+function commitMilestones(message) {
+    invalidateMilestones();
+    if (!saveMilestones()) {
+        showNotification('Milestones updated but could not be saved');
+    } else if (message) {
+        showNotification(message);
+    }
+    renderMilestoneSettings();
+    updateCountdown();
+}
+
+function renderMilestoneSettings() {
+    const select = document.getElementById('milestone-type');
+    if (select && select.options.length === 0) {
+        Object.entries(MILESTONE_TYPES).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+    updateMilestoneFields();
+
+    const list = document.getElementById('milestone-list');
+    if (!list) return;
+    list.textContent = ''; // Clear safely
+
+    milestones.forEach((milestone, index) => {
+        const item = document.createElement('li');
+
+        const text = document.createElement('span');
+        text.textContent = `${milestone.icon} ${milestone.text}: ${formatMilestoneThreshold(milestone)}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.setAttribute('aria-label', `Remove ${milestone.text}`);
+        removeButton.addEventListener('click', () => {
+            milestones.splice(index, 1);
+            commitMilestones('Milestone removed');
+        });
+
+        item.appendChild(text);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+}
+
+// Dates use a date picker; day and work-day counts use a number
+function updateMilestoneFields() {
+    const isDate = document.getElementById('milestone-type').value === 'date';
+    document.getElementById('milestone-value').hidden = isDate;
+    document.getElementById('milestone-date').hidden = !isDate;
+}
+
+document.getElementById('milestone-type').addEventListener('change', updateMilestoneFields);
+
+document.getElementById('add-milestone').addEventListener('click', () => {
+    const type = document.getElementById('milestone-type').value;
+    const milestone = sanitizeMilestone({
+        type,
+        value: type === 'date' ? document.getElementById('milestone-date').value : readNumberInput('milestone-value'),
+        icon: document.getElementById('milestone-icon').value,
+        text: document.getElementById('milestone-text').value
+    });
+
+    if (!milestone) {
+        showNotification(`Milestones need a threshold of 1-${MAX_MILESTONE_DAYS} days or a date, an icon and text`);
+        return;
+    }
+
+    if (milestones.length >= MAX_MILESTONES) {
+        showNotification(`Cannot store more than ${MAX_MILESTONES} milestones`);
+        return;
+    }
+
+    milestones.push(milestone);
+    document.getElementById('milestone-value').value = '';
+    document.getElementById('milestone-date').value = '';
+    document.getElementById('milestone-icon').value = '';
+    document.getElementById('milestone-text').value = '';
+    commitMilestones('Milestone added!');
+});
+
+document.getElementById('reset-milestones').addEventListener('click', () => {
+    milestones = DEFAULT_MILESTONES.map(m => ({ ...m }));
+    commitMilestones('Default milestones restored');
+});
+
 function updateMotivation(days) {
     const quotes = [
         "Every day brings you closer to your dream!",
@@ -386,37 +2246,37 @@ function updateMotivation(days) {
     document.getElementById('motivation-quote').textContent = quotes[quoteIndex];
 }
 
-function resetCountdown() {
-    // Clear any running intervals
-    clearAllIntervals();
-
-    try {
-        localStorage.removeItem('retirementDate');
-    } catch (error) {
-        console.warn('Unable to clear localStorage:', error);
-    }
-    location.reload();
-}
-
 function clearAllIntervals() {
     if (countdownInterval) clearInterval(countdownInterval);
     if (milestoneInterval) clearInterval(milestoneInterval);
+    if (notificationInterval) clearInterval(notificationInterval);
     if (celebrationConfettiInterval) clearInterval(celebrationConfettiInterval);
 }
 
+// Show the celebration overlay once per countdown; the count-up stays underneath
 function celebrateRetirement() {
-    // Clear existing intervals
-    clearAllIntervals();
+    const active = getActiveCountdown();
+    if (active.celebrated) return;
+    active.celebrated = true;
+    saveCountdowns();
+    showCelebrationOverlay();
+}
 
-    // Create celebration screen safely (no innerHTML XSS)
-    document.body.textContent = '';
+function showCelebrationOverlay() {
+    if (document.getElementById('celebration-overlay')) return;
+    const previousFocus = document.activeElement;
 
-    const celebration = document.createElement('main');
-    celebration.className = 'celebration';
-    celebration.setAttribute('role', 'main');
+    // Create celebration overlay safely (no innerHTML XSS)
+    const celebration = document.createElement('div');
+    celebration.className = 'celebration celebration-overlay';
+    celebration.id = 'celebration-overlay';
+    celebration.setAttribute('role', 'dialog');
+    celebration.setAttribute('aria-modal', 'true');
+    celebration.setAttribute('aria-labelledby', 'celebration-title');
 
     const title = document.createElement('h1');
     title.className = 'celebration-title';
+    title.id = 'celebration-title';
     title.textContent = 'CONGRATULATIONS!';
 
     const subtitle = document.createElement('h2');
@@ -432,33 +2292,33 @@ function celebrateRetirement() {
     emojiDiv.setAttribute('aria-hidden', 'true');
     emojiDiv.textContent = '🥳🍾🎈🌟✨🎆';
 
-    const resetButton = document.createElement('button');
-    resetButton.className = 'reset-button';
-    resetButton.textContent = 'Back to Countdown';
-    resetButton.addEventListener('click', resetCountdown);
+    const closeButton = document.createElement('button');
+    closeButton.className = 'reset-button';
+    closeButton.textContent = 'Start Counting Up';
 
     celebration.appendChild(title);
     celebration.appendChild(subtitle);
     celebration.appendChild(message);
     celebration.appendChild(emojiDiv);
-    celebration.appendChild(resetButton);
-
-    const confettiContainer = document.createElement('div');
-    confettiContainer.id = 'confetti-container';
-    confettiContainer.setAttribute('aria-hidden', 'true');
-
+    celebration.appendChild(closeButton);
     document.body.appendChild(celebration);
-    document.body.appendChild(confettiContainer);
 
-    // Announce to screen readers
-    const announcement = document.createElement('div');
-    announcement.setAttribute('role', 'alert');
-    announcement.setAttribute('aria-live', 'assertive');
-    announcement.className = 'sr-only';
-    announcement.textContent = 'Congratulations! You are officially retired!';
-    document.body.appendChild(announcement);
+    const closeOverlay = () => {
+        if (celebrationConfettiInterval) {
+            clearInterval(celebrationConfettiInterval);
+            celebrationConfettiInterval = null;
+        }
+        celebration.remove();
+        if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+    closeButton.addEventListener('click', closeOverlay);
+    celebration.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeOverlay();
+    });
+    closeButton.focus();
 
     // Create confetti with automatic stop after 30 seconds
+    if (celebrationConfettiInterval) clearInterval(celebrationConfettiInterval);
     celebrationConfettiInterval = setInterval(() => createConfetti(), 300);
 
     setTimeout(() => {
@@ -539,19 +2399,626 @@ function createStars() {
     }
 }
 
-// Initialize
-loadSavedDate();
+// =============================================================================
+// Offline support and installation
+// =============================================================================
+
+// Install prompt held until the user asks for it
+let deferredInstallPrompt = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+    // A new worker takes over after a deploy; the open page still runs the old code
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController) showNotification('A new version is available. Reload to update.');
+    });
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Unable to register service worker:', error);
+    });
+}
+
+window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    deferredInstallPrompt = event;
+    document.getElementById('install-app').hidden = false;
+});
+
+window.addEventListener('appinstalled', () => {
+    deferredInstallPrompt = null;
+    document.getElementById('install-app').hidden = true;
+    showNotification('Countdown installed!');
+});
+
+document.getElementById('install-app').addEventListener('click', () => {
+    if (!deferredInstallPrompt) return;
+    const installPrompt = deferredInstallPrompt;
+    deferredInstallPrompt = null;
+    document.getElementById('install-app').hidden = true;
+
+    installPrompt.prompt();
+    installPrompt.userChoice.then(choice => {
+        if (choice.outcome !== 'accepted') showNotification('You can install the countdown later from your browser menu');
+    });
+});
+
+// =============================================================================
+// Browser notifications (milestones, daily digest, last-day reminders)
+// =============================================================================
+
+const NOTIFICATION_SETTINGS_STORAGE_KEY = 'notificationSettings';
+const NOTIFICATION_DELIVERED_STORAGE_KEY = 'notificationDelivered';
+const NOTIFICATION_PLAN_DAYS = 14;
+const MAX_DELIVERED_NOTIFICATIONS = 500;
+const NOTIFICATION_CHECK_INTERVAL = 60000;
+
+let notificationSettings = {
+    enabled: false,
+    enabledAt: null,
+    milestones: true,
+    dailyDigest: true,
+    digestTime: '09:00',
+    lastDay: true
+};
+
+// Validate notification settings, returning a normalized copy or null
+function sanitizeNotificationSettings(settings) {
+    if (!settings || typeof settings.enabled !== 'boolean') return null;
+    if (!['milestones', 'dailyDigest', 'lastDay'].every(key => typeof settings[key] === 'boolean')) return null;
+    if (typeof settings.digestTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.digestTime)) return null;
+    const enabledAt = settings.enabledAt === null ? null : new Date(settings.enabledAt);
+    if (enabledAt && isNaN(enabledAt.getTime())) return null;
+    return {
+        enabled: settings.enabled && enabledAt !== null,
+        enabledAt: enabledAt ? enabledAt.toISOString() : null,
+        milestones: settings.milestones,
+        dailyDigest: settings.dailyDigest,
+        digestTime: settings.digestTime,
+        lastDay: settings.lastDay
+    };
+}
+
+// Instant at which the countdown first shows the given number of whole days left
+function getDaysLeftInstant(daysLeft) {
+    const wall = new Date(getDaysLeftWallTime(retirementDate, retirementTimeZone, daysLeft));
+    return zonedTimeToDate(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(),
+        wall.getUTCHours(), wall.getUTCMinutes(), retirementTimeZone);
+}
+
+// Upcoming and recently due notifications for the active countdown. Entries due
+// before notifications were enabled are left out, so opting in never floods; anything
+// due since then stays in the plan until it has been delivered once (catch-up).
+function buildNotificationPlan(now) {
+    if (!notificationSettings.enabled) return [];
+
+    const plan = [];
+    const countdownKey = `${activeCountdownId}|${retirementDate.toISOString()}`;
+    const enabledAt = new Date(notificationSettings.enabledAt);
+    const horizon = new Date(now.getTime() + NOTIFICATION_PLAN_DAYS * MS_PER_DAY);
+    const addEvent = (id, at, title, body) => {
+        if (at >= enabledAt && at <= horizon) plan.push({ id, at: at.getTime(), title, body });
+    };
+
+    if (notificationSettings.milestones && now < retirementDate) {
+        getResolvedMilestones(now).forEach(m => {
+            addEvent(`${countdownKey}|milestone|${m.type}:${m.value}`, getDaysLeftInstant(m.daysBefore),
+                `${m.icon} ${m.text}`, `Milestone reached: ${m.daysBefore} ${m.daysBefore === 1 ? 'day' : 'days'} until retirement!`);
+        });
+    }
+
+    const [digestHour, digestMinute] = notificationSettings.digestTime.split(':').map(Number);
+
+    if (notificationSettings.lastDay && now < retirementDate) {
+        const retirementDay = getZonedCalendarDate(retirementDate, retirementTimeZone);
+        [[1, 'eve', 'One more day to go!'], [0, 'day', 'Today is your last day. Enjoy it!']].forEach(([daysBefore, name, body]) => {
+            const day = new Date(retirementDay);
+            day.setDate(day.getDate() - daysBefore);
+            const at = zonedTimeToDate(day.getFullYear(), day.getMonth() + 1, day.getDate(),
+                digestHour, digestMinute, retirementTimeZone);
+            if (at < retirementDate) addEvent(`${countdownKey}|last-day|${name}`, at, '🎉 Retirement is almost here', body);
+        });
+    }
+
+    if (notificationSettings.dailyDigest) {
+        const today = getZonedCalendarDate(now, retirementTimeZone);
+        const endDate = getZonedCalendarDate(retirementDate, retirementTimeZone);
+        const daysOff = getDaysOff(today, endDate);
+
+        for (let i = 0; i < NOTIFICATION_PLAN_DAYS; i++) {
+            const day = new Date(today);
+            day.setDate(day.getDate() + i);
+            const at = zonedTimeToDate(day.getFullYear(), day.getMonth() + 1, day.getDate(),
+                digestHour, digestMinute, retirementTimeZone);
+            const totalDays = Math.round((endDate - day) / MS_PER_DAY);
+
+            let body;
+            if (totalDays > 0) {
+                // Only days off from this day onward still count against the work days left
+                const dayKey = toDateKey(day);
+                const remainingDaysOff = new Map([...daysOff].filter(([key]) => key >= dayKey));
+                const { workDays } = countScheduledWork(day, totalDays, workSchedule, remainingDaysOff);
+                body = `${workDays.toLocaleString()} work days left (${totalDays.toLocaleString()} days)`;
+            } else {
+                body = `${Math.abs(totalDays).toLocaleString()} days retired`;
+            }
+            addEvent(`digest|${toDateKey(day)}`, at, '⏳ Retirement countdown', body);
+        }
+    }
+
+    return plan;
+}
+
+// Entries that are due and have not been shown yet (same rule as sw.js)
+function takeDueNotifications(plan, delivered, now) {
+    return plan.filter(event => event.at <= now && !delivered.includes(event.id));
+}
+
+function loadDeliveredNotifications() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(NOTIFICATION_DELIVERED_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+        console.warn('Invalid delivered notifications in localStorage, using default');
+        return [];
+    }
+}
+
+// Without a service worker the page shows due notifications itself
+function deliverNotificationsFromPage(plan, now) {
+    let delivered = loadDeliveredNotifications();
+    const due = takeDueNotifications(plan, delivered, now.getTime());
+    if (due.length === 0) return;
+
+    due.forEach(event => {
+        new Notification(event.title, { body: event.body, tag: event.id, icon: 'favicon.svg' });
+    });
+    delivered = delivered.concat(due.map(event => event.id)).slice(-MAX_DELIVERED_NOTIFICATIONS);
+    try {
+        localStorage.setItem(NOTIFICATION_DELIVERED_STORAGE_KEY, JSON.stringify(delivered));
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+    }
+}
+
+function canUseServiceWorkerNotifications() {
+    return 'serviceWorker' in navigator && window.location.protocol !== 'file:';
+}
+
+// Hand the current plan to the service worker (or deliver from the page)
+function checkNotifications() {
+    if (isSharedView || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const now = new Date();
+    const plan = buildNotificationPlan(now);
+
+    if (canUseServiceWorkerNotifications()) {
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) registration.active.postMessage({ type: 'notification-plan', plan });
+            })
+            .catch(error => console.warn('Unable to reach service worker:', error));
+        return;
+    }
+    deliverNotificationsFromPage(plan, now);
+}
+
+// Let an installed app check for due notifications while it is closed (Chromium only)
+function registerPeriodicNotificationCheck() {
+    if (!canUseServiceWorkerNotifications()) return;
+    navigator.serviceWorker.ready
+        .then(registration => {
+            if (!registration.periodicSync) return null;
+            return registration.periodicSync.register('notification-check', { minInterval: 12 * 60 * 60 * 1000 });
+        })
+        .catch(error => console.warn('Periodic notification checks unavailable:', error));
+}
+
+function loadNotificationSettings() {
+    try {
+        const saved = localStorage.getItem(NOTIFICATION_SETTINGS_STORAGE_KEY);
+        if (saved) {
+            const settings = sanitizeNotificationSettings(JSON.parse(saved));
+            if (!settings) {
+                console.warn('Invalid notification settings in localStorage, using default');
+                localStorage.removeItem(NOTIFICATION_SETTINGS_STORAGE_KEY);
+                return;
+            }
+            notificationSettings = settings;
+        }
+    } catch (error) {
+        console.warn('Unable to load notification settings:', error);
+        showNotification('Unable to load saved notification settings');
+    }
+}
+
+function saveNotificationSettings() {
+    try {
+        localStorage.setItem(NOTIFICATION_SETTINGS_STORAGE_KEY, JSON.stringify(notificationSettings));
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        showNotification('Notification settings changed but could not be saved');
+    }
+    renderNotificationSettings();
+    checkNotifications();
+}
+
+function renderNotificationSettings() {
+    const status = document.getElementById('notification-status');
+    const button = document.getElementById('toggle-notifications');
+    const supported = 'Notification' in window;
+    const blocked = supported && Notification.permission === 'denied';
+    const active = supported && notificationSettings.enabled && Notification.permission === 'granted';
+
+    if (!supported) {
+        status.textContent = 'This browser does not support notifications.';
+    } else if (blocked) {
+        status.textContent = 'Notifications are blocked. Allow them for this site in your browser settings.';
+    } else if (active) {
+        status.textContent = 'Notifications are on for the selected countdown.';
+    } else {
+        status.textContent = 'Notifications are off.';
+    }
+
+    button.disabled = !supported || blocked;
+    button.textContent = active ? 'Turn Off Notifications' : 'Turn On Notifications';
+    document.getElementById('notify-milestones').checked = notificationSettings.milestones;
+    document.getElementById('notify-digest').checked = notificationSettings.dailyDigest;
+    document.getElementById('digest-time').value = notificationSettings.digestTime;
+    document.getElementById('notify-last-day').checked = notificationSettings.lastDay;
+}
+
+document.getElementById('toggle-notifications').addEventListener('click', () => {
+    if (!('Notification' in window)) return;
+
+    if (notificationSettings.enabled && Notification.permission === 'granted') {
+        notificationSettings.enabled = false;
+        notificationSettings.enabledAt = null;
+        saveNotificationSettings();
+        showNotification('Notifications turned off');
+        return;
+    }
+
+    Notification.requestPermission().then(permission => {
+        if (permission !== 'granted') {
+            renderNotificationSettings();
+            showNotification('Notifications were not allowed');
+            return;
+        }
+        notificationSettings.enabled = true;
+        notificationSettings.enabledAt = new Date().toISOString();
+        saveNotificationSettings();
+        registerPeriodicNotificationCheck();
+        showNotification('Notifications turned on!');
+    });
+});
+
+[['notify-milestones', 'milestones'], ['notify-digest', 'dailyDigest'], ['notify-last-day', 'lastDay']].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', (event) => {
+        notificationSettings[key] = event.target.checked;
+        saveNotificationSettings();
+    });
+});
+
+document.getElementById('digest-time').addEventListener('change', (event) => {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(event.target.value)) {
+        showNotification('Please choose a valid digest time');
+        renderNotificationSettings();
+        return;
+    }
+    notificationSettings.digestTime = event.target.value;
+    saveNotificationSettings();
+});
+
+// =============================================================================
+// Calendar export (.ics download and subscribable feed)
+// =============================================================================
+
+// Options for buildCalendarFile() in countdown-core.js, for the active countdown
+function getCalendarOptions(now) {
+    return {
+        name: getActiveCountdown().name,
+        retirementDate,
+        timeZone: retirementTimeZone,
+        milestones: getResolvedMilestones(now).map(m => ({ daysBefore: m.daysBefore, icon: m.icon, text: m.text }))
+    };
+}
+
+document.getElementById('download-calendar').addEventListener('click', () => {
+    const now = new Date();
+    const ics = buildCalendarFile(getCalendarOptions(now), now);
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `retirement-countdown-${toDateKey(now)}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    showNotification('Calendar file downloaded!');
+});
+
+function showCalendarFeedField(link) {
+    const field = document.getElementById('calendar-feed-link');
+    field.value = link;
+    field.hidden = false;
+    field.focus();
+    field.select();
+}
+
+document.getElementById('copy-calendar-feed').addEventListener('click', () => {
+    const link = `${window.location.origin}${CALENDAR_FEED_PATH}?${buildCalendarFeedQuery(getCalendarOptions(new Date()))}`;
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        showCalendarFeedField(link);
+        showNotification('Copy the link below into your calendar app');
+        return;
+    }
+
+    navigator.clipboard.writeText(link)
+        .then(() => showNotification('Calendar feed link copied!'))
+        .catch(error => {
+            console.warn('Unable to copy calendar feed link:', error);
+            showCalendarFeedField(link);
+            showNotification('Copy the link below into your calendar app');
+        });
+});
+
+// =============================================================================
+// Settings export and import (versioned JSON document)
+// =============================================================================
+
+const SETTINGS_APP_ID = 'retirement-countdown';
+const SETTINGS_VERSION = 1;
+const MAX_SETTINGS_FILE_SIZE = 1024 * 1024;
+
+// Each step upgrades a document from its version to the next one. Version 1 is
+// the first exported format, so there are none yet.
+const SETTINGS_MIGRATIONS = {};
+
+function buildSettingsDocument() {
+    return {
+        app: SETTINGS_APP_ID,
+        version: SETTINGS_VERSION,
+        exportedAt: new Date().toISOString(),
+        countdowns: serializeCountdowns(),
+        holidayCalendar,
+        workSchedule,
+        paySchedule,
+        milestones,
+        theme: currentTheme,
+        pageSettings,
+        notificationSettings
+    };
+}
+
+// Bring a parsed document up to the current version; returns { doc } or { error }
+function migrateSettingsDocument(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { error: 'Import failed: not a settings file' };
+
+    let version = doc.version;
+    if (!Number.isInteger(version) || version < 1) return { error: 'Import failed: missing or invalid settings version' };
+    if (version > SETTINGS_VERSION) {
+        return { error: `Import failed: settings version ${version} is newer than this page supports` };
+    }
+    if (doc.app !== SETTINGS_APP_ID) return { error: 'Import failed: not a settings file' };
+
+    while (version < SETTINGS_VERSION) {
+        doc = SETTINGS_MIGRATIONS[version](doc);
+        version = doc.version;
+    }
+    return { doc };
+}
+
+// Validate every section before anything is applied; returns { settings } or { error }.
+// Sections missing from the document keep their current values.
+function validateSettingsDocument(doc) {
+    const settings = {};
+
+    const parsedCountdowns = doc.countdowns && Array.isArray(doc.countdowns.countdowns)
+        ? parseSavedCountdowns(JSON.stringify(doc.countdowns))
+        : null;
+    if (!parsedCountdowns || parsedCountdowns.countdowns.length !== doc.countdowns.countdowns.length) {
+        return { error: 'Import failed: countdown dates are missing or invalid' };
+    }
+    settings.countdowns = parsedCountdowns;
+
+    if (doc.holidayCalendar !== undefined) {
+        const calendar = doc.holidayCalendar;
+        if (!calendar || !HOLIDAY_RULE_SETS[calendar.ruleSet] || !Array.isArray(calendar.custom) ||
+            calendar.custom.length > MAX_CUSTOM_DAYS_OFF) {
+            return { error: 'Import failed: holiday calendar is invalid' };
+        }
+        const custom = calendar.custom.map(sanitizeDaysOffEntry);
+        if (custom.some(entry => !entry)) return { error: 'Import failed: a holiday or time off entry is invalid' };
+        settings.holidayCalendar = { ruleSet: calendar.ruleSet, custom };
+    }
+
+    if (doc.workSchedule !== undefined) {
+        settings.workSchedule = sanitizeWorkSchedule(doc.workSchedule);
+        if (!settings.workSchedule) return { error: 'Import failed: work schedule is invalid' };
+    }
+
+    if (doc.paySchedule !== undefined) {
+        settings.paySchedule = sanitizePaySchedule(doc.paySchedule);
+        if (!settings.paySchedule) return { error: 'Import failed: pay schedule is invalid' };
+    }
+
+    if (doc.milestones !== undefined) {
+        if (!Array.isArray(doc.milestones) || doc.milestones.length > MAX_MILESTONES) {
+            return { error: 'Import failed: milestones are invalid' };
+        }
+        settings.milestones = doc.milestones.map(sanitizeMilestone);
+        if (settings.milestones.some(m => !m)) return { error: 'Import failed: a milestone is invalid' };
+    }
+
+    if (doc.theme !== undefined) {
+        if (!THEMES[doc.theme]) return { error: 'Import failed: unknown theme' };
+        settings.theme = doc.theme;
+    }
+
+    if (doc.pageSettings !== undefined) {
+        settings.pageSettings = sanitizePageSettings(doc.pageSettings);
+        if (!settings.pageSettings) return { error: 'Import failed: page title settings are invalid' };
+    }
+
+    if (doc.notificationSettings !== undefined) {
+        settings.notificationSettings = sanitizeNotificationSettings(doc.notificationSettings);
+        if (!settings.notificationSettings) return { error: 'Import failed: notification settings are invalid' };
+    }
+
+    return { settings };
+}
+
+// Parse, migrate and validate an imported file's text
+function parseSettingsDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        return { error: 'Import failed: the file is not valid JSON' };
+    }
+    const migrated = migrateSettingsDocument(doc);
+    if (migrated.error) return migrated;
+    return validateSettingsDocument(migrated.doc);
+}
+
+function applyImportedSettings(settings) {
+    // An import replaces the viewer's saved settings, which a shared view never writes
+    if (isSharedView) {
+        showNotification('Go back to your own countdown to import settings');
+        return;
+    }
+
+    countdowns = settings.countdowns.countdowns;
+    activeCountdownId = countdowns.some(c => c.id === settings.countdowns.activeId)
+        ? settings.countdowns.activeId
+        : countdowns[0].id;
+    if (settings.holidayCalendar) holidayCalendar = settings.holidayCalendar;
+    if (settings.workSchedule) workSchedule = settings.workSchedule;
+    if (settings.paySchedule) paySchedule = settings.paySchedule;
+    if (settings.milestones) milestones = settings.milestones;
+    if (settings.theme) currentTheme = settings.theme;
+    if (settings.pageSettings) pageSettings = settings.pageSettings;
+    if (settings.notificationSettings) notificationSettings = settings.notificationSettings;
+
+    daysOffCache = { key: null, days: null };
+    paydaysCache = { key: null, paydays: null };
+    invalidateMilestones();
+
+    let saved = saveCountdowns();
+    try {
+        localStorage.setItem(HOLIDAY_STORAGE_KEY, JSON.stringify(holidayCalendar));
+        localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(workSchedule));
+        localStorage.setItem(PAY_SCHEDULE_STORAGE_KEY, JSON.stringify(paySchedule));
+        localStorage.setItem(MILESTONES_STORAGE_KEY, JSON.stringify({ milestones }));
+        localStorage.setItem(THEME_STORAGE_KEY, currentTheme);
+        localStorage.setItem(PAGE_SETTINGS_STORAGE_KEY, JSON.stringify(pageSettings));
+        localStorage.setItem(NOTIFICATION_SETTINGS_STORAGE_KEY, JSON.stringify(notificationSettings));
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', error);
+        saved = false;
+    }
+
+    applyActiveCountdown();
+    renderPageSettings();
+    renderThemeOptions();
+    renderHolidaySettings();
+    renderScheduleSettings();
+    renderPayScheduleSettings();
+    renderMilestoneSettings();
+    renderNotificationSettings();
+    updateCountdown();
+    checkNotifications();
+    showNotification(saved ? 'Settings imported!' : 'Settings imported but could not be saved');
+}
+
+document.getElementById('export-settings').addEventListener('click', () => {
+    const json = JSON.stringify(buildSettingsDocument(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `retirement-countdown-settings-${toDateKey(new Date())}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    showNotification('Settings exported!');
+});
+
+document.getElementById('settings-import').addEventListener('change', (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    if (file.size > MAX_SETTINGS_FILE_SIZE) {
+        showNotification('Import failed: the file is too large');
+        event.target.value = '';
+        return;
+    }
+
+    file.text()
+        .then(text => {
+            const result = parseSettingsDocument(text);
+            if (result.error) {
+                showNotification(result.error);
+                return;
+            }
+            applyImportedSettings(result.settings);
+        })
+        .catch(error => {
+            console.warn('Unable to read settings file:', error);
+            showNotification('Unable to read that settings file');
+        })
+        .finally(() => {
+            event.target.value = '';
+        });
+});
+
+// Initialize (a share link shows its countdown with default settings instead of the viewer's)
+const sharedLink = parseShareLink(window.location.search);
+if (sharedLink && !sharedLink.error) {
+    enterSharedView(sharedLink);
+} else {
+    if (sharedLink) showNotification(sharedLink.error);
+    loadSavedCountdowns();
+    loadHolidayCalendar();
+    loadWorkSchedule();
+    loadPaySchedule();
+    loadMilestones();
+    loadTheme();
+    loadPageSettings();
+    loadNotificationSettings();
+}
+renderPageSettings();
+renderThemeOptions();
+renderHolidaySettings();
+renderScheduleSettings();
+renderPayScheduleSettings();
+renderCalculatorSettings();
+renderMilestoneSettings();
+renderNotificationSettings();
 createStars();
+registerServiceWorker();
 updateCountdown();
 countdownInterval = setInterval(updateCountdown, 1000);
 
+// Catch up on anything due while the page was closed, then keep the plan fresh
+checkNotifications();
+notificationInterval = setInterval(checkNotifications, NOTIFICATION_CHECK_INTERVAL);
+
 // Celebrate milestones with confetti
-let lastDays = null;
 milestoneInterval = setInterval(() => {
-    const days = Math.floor((retirementDate - new Date()) / (1000 * 60 * 60 * 24));
-    if (lastDays !== null && days !== lastDays && (days === 100 || days === 50 || days === 30 || days === 7 || days === 1)) {
-        createConfetti();
-        showNotification(`Milestone: ${days} days remaining!`);
+    const now = new Date();
+    const { days } = getCountdownParts(now, retirementDate, retirementTimeZone);
+    if (lastDays !== null && days !== lastDays) {
+        const reached = getResolvedMilestones(now).filter(m => m.daysBefore === days);
+        if (reached.length > 0) {
+            createConfetti();
+            showNotification(`Milestone: ${reached.map(m => m.text).join(', ')} (${days} days remaining)!`);
+        }
     }
     lastDays = days;
 }, 1000);
@@ -1,12 +1,92 @@
 #!/usr/bin/env node
 
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const {
+    CALENDAR_FEED_PATH,
+    buildCalendarFile,
+    parseCalendarFeedQuery,
+    getCountdownDayData,
+    getCountdownSnapshot,
+    getZonedCalendarDate,
+    toDateKey,
+    parseCountdownQuery
+} = require('./countdown-core');
+const { LOG_LEVELS, loadConfig } = require('./config');
+const { createAssetCache, hashContent } = require('./asset-cache');
+const { createAccessLogger } = require('./access-log');
+
+// Fail fast: refuse to start with a configuration that is not fully valid
+const { config, errors: configErrors } = loadConfig(process.argv.slice(2), process.env);
+if (configErrors) {
+    configErrors.forEach(message => console.error(`Configuration error: ${message}`));
+    process.exit(1);
+}
+
+// Leveled console logging
+const logLevel = LOG_LEVELS.indexOf(config.logging.level);
+const log = {
+    debug: (...args) => logLevel <= 0 && console.log(...args),
+    info: (...args) => logLevel <= 1 && console.log(...args),
+    warn: (...args) => logLevel <= 2 && console.warn(...args),
+    error: (...args) => logLevel <= 3 && console.error(...args)
+};
+
+// One access log line per request, once the response is done; see access-log.js
+const accessLogger = createAccessLogger({ ...config.accessLog, level: config.logging.level, output: log });
+
+// Count the body bytes a response sends and log it when it finishes, or when
+// the connection closes first (aborted downloads, event streams)
+function logWhenDone(req, res, clientIp) {
+    const started = process.hrtime.bigint();
+    let bytes = 0;
+    const countBytes = (chunk) => {
+        if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk);
+    };
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, ...args) {
+        countBytes(chunk);
+        return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+        countBytes(chunk);
+        return end.call(this, chunk, ...args);
+    };
+
+    let logged = false;
+    const done = () => {
+        if (logged) return;
+        logged = true;
+        accessLogger.write({
+            time: new Date(),
+            ip: clientIp,
+            method: req.method,
+            url: req.url.substring(0, 200),
+            httpVersion: req.httpVersion,
+            status: res.statusCode,
+            bytes,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1000) / 1000,
+            referrer: req.headers['referer'],
+            userAgent: req.headers['user-agent'],
+            aborted: !res.writableFinished
+        });
+    };
+    res.once('finish', done);
+    res.once('close', done);
+}
+
+const COUNTDOWN_API_PATH = '/api/countdown';
+const COUNTDOWN_STREAM_PATH = '/api/countdown/stream';
+
+// HTTPS when a certificate and key are configured, plain HTTP otherwise
+const TLS_ENABLED = Boolean(config.tls.cert);
 
-const PORT = 8000;
-const HOSTNAME = '0.0.0.0';
+// Countdowns without a tz parameter are read in the server's own zone
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
 
 // MIME types for common file extensions
 const mimeTypes = {
@@ -18,11 +98,16 @@ const mimeTypes = {
     '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
     '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon'
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
 };
 
 // Allowed file extensions (whitelist)
-const allowedExtensions = new Set(['.html', '.css', '.js', '.json', '.png', '.jpg', '.gif', '.svg', '.ico']);
+const allowedExtensions = new Set(['.html', '.css', '.js', '.json', '.png', '.jpg', '.gif', '.svg', '.ico', '.webmanifest']);
+
+// Files that must always be revalidated: the service worker has to be re-checked
+// for updates, and the manifest is read at install time
+const revalidatedFiles = new Set(['sw.js', 'manifest.webmanifest']);
 
 // Security headers
 const securityHeaders = {
@@ -31,13 +116,13 @@ const securityHeaders = {
     'X-XSS-Protection': '1; mode=block',
     'Referrer-Policy': 'strict-origin-when-cross-origin',
     'Permissions-Policy': 'geolocation=(), microphone=(), camera=()',
-    'Content-Security-Policy': "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; font-src 'self'; connect-src 'self'; frame-ancestors 'none'"
+    'Content-Security-Policy': config.contentSecurityPolicy
 };
 
 // Simple rate limiting
 const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 100;
+const RATE_LIMIT_WINDOW = config.rateLimit.windowMs;
+const MAX_REQUESTS_PER_WINDOW = config.rateLimit.maxRequests;
 
 function checkRateLimit(ip) {
     const now = Date.now();
@@ -62,6 +147,33 @@ function checkRateLimit(ip) {
     return true;
 }
 
+// Event streams stay open, so besides counting toward checkRateLimit when they
+// connect, the number held open at once is capped per IP and overall
+const MAX_STREAMS_PER_IP = config.rateLimit.maxStreamsPerIp;
+const MAX_STREAMS = config.rateLimit.maxStreams;
+const streamCounts = new Map();
+let totalStreams = 0;
+
+function acquireStreamSlot(ip) {
+    const count = streamCounts.get(ip) || 0;
+    if (count >= MAX_STREAMS_PER_IP || totalStreams >= MAX_STREAMS) {
+        return false;
+    }
+    streamCounts.set(ip, count + 1);
+    totalStreams++;
+    return true;
+}
+
+function releaseStreamSlot(ip) {
+    const count = streamCounts.get(ip) || 0;
+    if (count <= 1) {
+        streamCounts.delete(ip);
+    } else {
+        streamCounts.set(ip, count - 1);
+    }
+    totalStreams--;
+}
+
 // Clean up old rate limit entries periodically
 setInterval(() => {
     const now = Date.now();
@@ -95,10 +207,10 @@ function validatePath(requestedPath) {
     }
 
     // Construct and resolve absolute path
-    const fullPath = path.resolve(__dirname, '.' + filePath);
+    const fullPath = path.resolve(config.root, '.' + filePath);
 
-    // Ensure path is within __dirname (normalized comparison)
-    const normalizedDir = path.normalize(__dirname);
+    // Ensure path is within the document root (normalized comparison)
+    const normalizedDir = path.normalize(config.root);
     if (!fullPath.startsWith(normalizedDir + path.sep) && fullPath !== normalizedDir) {
         return null;
     }
@@ -112,10 +224,85 @@ function validatePath(requestedPath) {
     return { fullPath, ext };
 }
 
-// Compress response if client supports it
-function compressResponse(req, res, data, contentType) {
-    const acceptEncoding = req.headers['accept-encoding'] || '';
+// Whether a body is worth compressing
+function isCompressible(contentType, size) {
+    const compressibleType = contentType.startsWith('text/') ||
+                             contentType.startsWith('application/json') ||
+                             contentType === 'application/manifest+json' ||
+                             contentType === 'application/javascript';
+
+    return compressibleType && size > 1024;
+}
+
+// Encodings the server can produce, in order of preference on equal q-values
+const SUPPORTED_ENCODINGS = ['br', 'gzip'];
+
+// Per-request compression favours speed; cached assets are compressed harder
+const COMPRESSORS = {
+    br: (data, callback) => zlib.brotliCompress(data, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    }, callback),
+    gzip: (data, callback) => zlib.gzip(data, callback)
+};
+
+// Accept-Encoding as a Map of coding to q-value (RFC 9110 section 12.5.3).
+// A malformed q-value counts as 0 so a garbled header never gets a coding it refused.
+function parseAcceptEncoding(header) {
+    const codings = new Map();
+    (header || '').split(',').forEach(part => {
+        const [coding, ...params] = part.split(';').map(piece => piece.trim().toLowerCase());
+        if (!coding) return;
+
+        let q = 1;
+        params.forEach(param => {
+            const [name, value = ''] = param.split('=').map(piece => piece.trim());
+            if (name === 'q') q = /^(0(\.\d{0,3})?|1(\.0{0,3})?)$/.test(value) ? Number(value) : 0;
+        });
+        codings.set(coding === 'x-gzip' ? 'gzip' : coding, q);
+    });
+    return codings;
+}
+
+// Encodings on offer for a body: ready-made copies, plus on-the-fly compression
+// for compressible types
+function getAvailableEncodings(contentType, size, encoded = {}) {
+    const compressible = isCompressible(contentType, size);
+    return SUPPORTED_ENCODINGS.filter(encoding => encoded[encoding] || compressible);
+}
+
+// Best encoding the client accepts from those available; null means identity
+function chooseEncoding(req, available) {
+    const accepted = parseAcceptEncoding(req.headers['accept-encoding']);
+    const qualityOf = coding => accepted.has(coding) ? accepted.get(coding) : (accepted.get('*') || 0);
+
+    let best = null;
+    let bestQuality = 0;
+    available.forEach(encoding => {
+        const quality = qualityOf(encoding);
+        if (quality > bestQuality) {
+            best = encoding;
+            bestQuality = quality;
+        }
+    });
+
+    // A client that rates identity above every coding on offer gets it uncompressed
+    const identityQuality = accepted.has('identity') ? accepted.get('identity') : (accepted.get('*') || 0);
+    return best && bestQuality >= identityQuality ? best : null;
+}
+
+// Static files are served from memory; see asset-cache.js
+const assetCache = createAssetCache({
+    maxBytes: config.cache.assetMaxBytes,
+    shouldCompress: (fullPath, size) => isCompressible(mimeTypes[path.extname(fullPath)] || '', size)
+});
 
+// Send a body in the best encoding the client accepts. Ready-made copies in
+// `encoded` ({ br, gzip }) are sent as is; otherwise compressible bodies are
+// compressed here.
+function compressResponse(req, res, data, contentType, encoded = {}) {
     // Set content type
     res.setHeader('Content-Type', contentType);
 
@@ -124,27 +311,32 @@ function compressResponse(req, res, data, contentType) {
         res.setHeader(header, value);
     }
 
-    // Check if content is compressible
-    const isCompressible = contentType.startsWith('text/') ||
-                           contentType === 'application/json' ||
-                           contentType === 'application/javascript';
-
-    if (isCompressible && data.length > 1024) {
-        if (acceptEncoding.includes('gzip')) {
-            res.setHeader('Content-Encoding', 'gzip');
-            zlib.gzip(data, (err, compressed) => {
-                if (err) {
-                    res.setHeader('Content-Length', data.length);
-                    res.writeHead(200);
-                    res.end(data);
-                } else {
-                    res.setHeader('Content-Length', compressed.length);
-                    res.writeHead(200);
-                    res.end(compressed);
-                }
-            });
+    const available = getAvailableEncodings(contentType, data.length, encoded);
+    // Shared caches must keep one copy per encoding
+    if (available.length > 0) res.setHeader('Vary', 'Accept-Encoding');
+
+    const encoding = chooseEncoding(req, available);
+    if (encoding) {
+        res.setHeader('Content-Encoding', encoding);
+        if (encoded[encoding]) {
+            res.setHeader('Content-Length', encoded[encoding].length);
+            res.writeHead(200);
+            res.end(encoded[encoding]);
             return;
         }
+        COMPRESSORS[encoding](data, (err, compressed) => {
+            if (err) {
+                res.removeHeader('Content-Encoding');
+                res.setHeader('Content-Length', data.length);
+                res.writeHead(200);
+                res.end(data);
+            } else {
+                res.setHeader('Content-Length', compressed.length);
+                res.writeHead(200);
+                res.end(compressed);
+            }
+        });
+        return;
     }
 
     res.setHeader('Content-Length', data.length);
@@ -152,27 +344,257 @@ function compressResponse(req, res, data, contentType) {
     res.end(data);
 }
 
+// Strong validator for a representation: a hash of the content, tagged with the
+// encoding because compressed bytes differ from the identity ones
+function computeEtag(hash, encoding) {
+    return encoding ? `"${hash}-${encoding}"` : `"${hash}"`;
+}
+
+// True when the client's cached copy is current. If-None-Match takes precedence
+// over If-Modified-Since (RFC 9110 section 13.2.2).
+function isNotModified(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch !== undefined) {
+        if (ifNoneMatch.trim() === '*') return true;
+        // GET and HEAD use the weak comparison, so W/ prefixes are ignored
+        return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // HTTP dates have whole-second precision
+    return !isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Page text for share links, mirroring getPageText() in script.js so link
+// previews and no-script visitors see the sharer's title
+const DEFAULT_SUBTITLE = 'The Journey to Freedom Begins...';
+const MAX_OWNER_NAME_LENGTH = 40;
+const MAX_PAGE_TEXT_LENGTH = 80;
+
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return text.replace(/[&<>"']/g, char => entities[char]);
+}
+
+function getSharedPageText(query) {
+    const params = new URLSearchParams(query);
+    if (!params.has('retire')) return null;
+
+    // Over-long values are ignored, as they are by the browser
+    const read = (name, maxLength) => {
+        const value = (params.get(name) || '').trim();
+        return value.length <= maxLength ? value : '';
+    };
+
+    const ownerName = read('owner', MAX_OWNER_NAME_LENGTH);
+    const possessive = ownerName ? `${ownerName}'s ` : '';
+    const heading = read('heading', MAX_PAGE_TEXT_LENGTH) || `${possessive}Countdown to Retirement`;
+    return {
+        heading,
+        subtitle: params.has('subtitle') ? read('subtitle', MAX_PAGE_TEXT_LENGTH) : DEFAULT_SUBTITLE,
+        documentTitle: read('pageTitle', MAX_PAGE_TEXT_LENGTH) || heading,
+        description: `${possessive || 'A '}retirement countdown timer - tracking the journey to freedom`
+    };
+}
+
+function personalizeHtml(html, pageText) {
+    return html
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(pageText.documentTitle)}</title>`)
+        .replace(/(<meta name="description" content=")[^"]*"/, (match, start) => `${start}${escapeHtml(pageText.description)}"`)
+        .replace(/(<h1 class="title">)[^<]*<\/h1>/, (match, start) => `${start}${escapeHtml(pageText.heading)}</h1>`)
+        .replace(/(<p class="subtitle">)[^<]*<\/p>/, (match, start) => `${start}${escapeHtml(pageText.subtitle)}</p>`);
+}
+
 // Get cache headers based on file type
-function getCacheHeaders(ext) {
-    if (ext === '.html') {
-        // HTML files: cache but revalidate
+function getCacheHeaders(ext, fileName) {
+    if (ext === '.html' || revalidatedFiles.has(fileName)) {
+        // HTML, service worker and manifest: cache but revalidate
         return {
             'Cache-Control': 'no-cache, must-revalidate',
             'Pragma': 'no-cache'
         };
     } else {
-        // Static assets: cache for 1 year
+        // Static assets: cache for the configured lifetime (1 year by default)
         return {
-            'Cache-Control': 'public, max-age=31536000, immutable'
+            'Cache-Control': `public, max-age=${config.cache.staticMaxAge}, immutable`
         };
     }
 }
 
-const server = http.createServer((req, res) => {
+// Subscribable iCalendar feed; everything it shows comes from the query string
+function serveCalendarFeed(req, res, query) {
+    const options = parseCalendarFeedQuery(query);
+    if (options.error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`400 Bad Request: ${options.error}`);
+        return;
+    }
+
+    const data = Buffer.from(buildCalendarFile(options));
+    const contentType = 'text/calendar; charset=utf-8';
+    res.setHeader('Cache-Control', `public, max-age=${config.cache.feedMaxAge}`);
+    res.setHeader('Content-Disposition', 'inline; filename="retirement-countdown.ics"');
+
+    if (req.method === 'HEAD') {
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', data.length);
+        // GET responses vary by encoding, so HEAD says so too
+        if (getAvailableEncodings(contentType, data.length).length > 0) res.setHeader('Vary', 'Accept-Encoding');
+        for (const [header, value] of Object.entries(securityHeaders)) {
+            res.setHeader(header, value);
+        }
+        res.writeHead(200);
+        res.end();
+        return;
+    }
+
+    compressResponse(req, res, data, contentType);
+}
+
+// Read-only JSON countdown for dashboards, bots and shell prompts. The query takes
+// the share link parameters (retire, start, tz, title) plus holidays, schedule and
+// milestone; the numbers come from the same functions the page uses.
+function serveCountdownApi(req, res, query) {
+    const options = parseCountdownQuery(query, SERVER_TIME_ZONE);
+    const status = options.error ? 400 : 200;
+    const body = options.error ? { error: options.error } : getCountdownSnapshot({ ...options, now: new Date() });
+    const data = Buffer.from(JSON.stringify(body));
+    const contentType = 'application/json; charset=utf-8';
+
+    // The numbers change every second
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'HEAD' || status !== 200) {
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', data.length);
+        if (status === 200 && getAvailableEncodings(contentType, data.length).length > 0) {
+            res.setHeader('Vary', 'Accept-Encoding');
+        }
+        for (const [header, value] of Object.entries(securityHeaders)) {
+            res.setHeader(header, value);
+        }
+        res.writeHead(status);
+        res.end(req.method === 'HEAD' ? undefined : data);
+        return;
+    }
+
+    compressResponse(req, res, data, contentType);
+}
+
+// Server-Sent Events: a "tick" snapshot every second, plus "milestone" and
+// "retirement" events when those moments pass while the stream is open
+const STREAM_TICK_INTERVAL = 1000;
+const STREAM_HEARTBEAT_INTERVAL = 15000;
+const STREAM_RETRY_DELAY = 5000;
+const streamClients = new Set();
+let streamTickTimer = null;
+let streamHeartbeatTimer = null;
+
+function writeStreamEvent(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendStreamTick(client, now) {
+    // Work days and milestones are recomputed once per calendar day, not every tick
+    const today = toDateKey(getZonedCalendarDate(now, client.options.timeZone));
+    if (!client.dayData || client.dayData.dateKey !== today) {
+        client.dayData = getCountdownDayData({ ...client.options, now });
+    }
+    const snapshot = getCountdownSnapshot({ ...client.options, now }, client.dayData);
+    const previous = client.lastSnapshot;
+
+    if (previous && previous.nextMilestone && snapshot.days <= previous.nextMilestone.daysBefore) {
+        writeStreamEvent(client, 'milestone', previous.nextMilestone);
+    }
+    if (previous && !previous.retired && snapshot.retired) {
+        writeStreamEvent(client, 'retirement', { name: snapshot.name, retirementDate: snapshot.retirementDate });
+    }
+    writeStreamEvent(client, 'tick', snapshot);
+    client.lastSnapshot = snapshot;
+}
+
+// One pair of timers drives every open stream, and only while any are open
+function startStreamTimers() {
+    if (streamTickTimer) return;
+    streamTickTimer = setInterval(() => {
+        const now = new Date();
+        streamClients.forEach(client => sendStreamTick(client, now));
+    }, STREAM_TICK_INTERVAL);
+    // Comment lines keep proxies from timing out idle-looking connections
+    streamHeartbeatTimer = setInterval(() => {
+        streamClients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, STREAM_HEARTBEAT_INTERVAL);
+}
+
+function stopStreamTimers() {
+    clearInterval(streamTickTimer);
+    clearInterval(streamHeartbeatTimer);
+    streamTickTimer = null;
+    streamHeartbeatTimer = null;
+}
+
+function serveCountdownStream(req, res, query, clientIp) {
+    const options = parseCountdownQuery(query, SERVER_TIME_ZONE);
+    if (options.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8', ...securityHeaders });
+        res.end(JSON.stringify({ error: options.error }));
+        return;
+    }
+
+    const headers = {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+        'Access-Control-Allow-Origin': '*',
+        ...securityHeaders
+    };
+    if (req.method === 'HEAD') {
+        res.writeHead(200, headers);
+        res.end();
+        return;
+    }
+
+    if (!acquireStreamSlot(clientIp)) {
+        log.warn(`Stream limit reached for ${clientIp}`);
+        res.writeHead(429, { 'Content-Type': 'text/plain', 'Retry-After': '60' });
+        res.end('429 Too Many Requests');
+        return;
+    }
+
+    res.writeHead(200, headers);
+    res.write(`retry: ${STREAM_RETRY_DELAY}\n\n`);
+
+    log.debug(`Stream opened for ${clientIp}`);
+    const client = { res, options, lastSnapshot: null, dayData: null };
+    streamClients.add(client);
+    sendStreamTick(client, new Date());
+    startStreamTimers();
+
+    res.on('close', () => {
+        streamClients.delete(client);
+        releaseStreamSlot(clientIp);
+        if (streamClients.size === 0) stopStreamTimers();
+    });
+}
+
+// Tell every stream the server is going away and end it, so server.close() can finish
+function closeAllStreams() {
+    streamClients.forEach(client => client.res.end('event: shutdown\ndata: {}\n\n'));
+    stopStreamTimers();
+}
+
+function handleRequest(req, res) {
     const clientIp = req.socket.remoteAddress || 'unknown';
     const sanitizedUrl = req.url.substring(0, 200);
 
-    console.log(`${new Date().toISOString()} - ${req.method} ${sanitizedUrl}`);
+    logWhenDone(req, res, clientIp);
+
+    // Browsers that have seen HTTPS stick to it
+    if (TLS_ENABLED) {
+        res.setHeader('Strict-Transport-Security', `max-age=${config.tls.hstsMaxAge}`);
+    }
 
     // Rate limiting
     if (!checkRateLimit(clientIp)) {
@@ -188,10 +610,24 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    const [requestPath, query = ''] = req.url.split('?');
+    if (requestPath === CALENDAR_FEED_PATH) {
+        serveCalendarFeed(req, res, query);
+        return;
+    }
+    if (requestPath === COUNTDOWN_API_PATH) {
+        serveCountdownApi(req, res, query);
+        return;
+    }
+    if (requestPath === COUNTDOWN_STREAM_PATH) {
+        serveCountdownStream(req, res, query, clientIp);
+        return;
+    }
+
     // Validate path
     const pathResult = validatePath(req.url);
     if (!pathResult) {
-        console.warn(`Path validation failed: ${sanitizedUrl} from ${clientIp}`);
+        log.warn(`Path validation failed: ${sanitizedUrl} from ${clientIp}`);
         res.writeHead(403, { 'Content-Type': 'text/plain' });
         res.end('403 Forbidden');
         return;
@@ -200,68 +636,174 @@ const server = http.createServer((req, res) => {
     const { fullPath, ext } = pathResult;
     const mimeType = mimeTypes[ext] || 'application/octet-stream';
 
-    // Check if file exists
-    fs.access(fullPath, fs.constants.R_OK, (err) => {
+    // Look the file up in the asset cache, which reads it on a miss
+    assetCache.get(fullPath, (err, asset, hit) => {
         if (err) {
-            res.writeHead(404, { 'Content-Type': 'text/plain' });
-            res.end('404 Not Found');
+            const missing = ['ENOENT', 'ENOTDIR', 'EISDIR'].includes(err.code);
+            res.writeHead(missing ? 404 : 500, { 'Content-Type': 'text/plain' });
+            res.end(missing ? '404 Not Found' : '500 Internal Server Error');
             return;
         }
-
-        // Read and serve the file
-        fs.readFile(fullPath, (err, data) => {
-            if (err) {
-                res.writeHead(500, { 'Content-Type': 'text/plain' });
-                res.end('500 Internal Server Error');
-                return;
+        res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+        if (!hit) log.debug(`Asset cache miss: ${fullPath}`);
+
+        let { data, hash, encoded } = asset;
+
+        // Share links get the sharer's page title baked into the HTML
+        if (path.basename(fullPath) === 'index.html') {
+            const pageText = getSharedPageText(req.url.split('?')[1] || '');
+            if (pageText) {
+                data = Buffer.from(personalizeHtml(data.toString('utf8'), pageText));
+                hash = hashContent(data);
+                encoded = {};
             }
+        }
+
+        // Add cache headers
+        const cacheHeaders = getCacheHeaders(ext, path.basename(fullPath));
+        for (const [header, value] of Object.entries(cacheHeaders)) {
+            res.setHeader(header, value);
+        }
+
+        // Validators for conditional requests; GET and HEAD carry the same ones
+        const available = getAvailableEncodings(mimeType, data.length, encoded);
+        if (available.length > 0) res.setHeader('Vary', 'Accept-Encoding');
+        const encoding = chooseEncoding(req, available);
+        const etag = computeEtag(hash, encoding);
+        res.setHeader('ETag', etag);
+        res.setHeader('Last-Modified', asset.lastModified.toUTCString());
 
-            // Add cache headers
-            const cacheHeaders = getCacheHeaders(ext);
-            for (const [header, value] of Object.entries(cacheHeaders)) {
+        if (isNotModified(req, etag, asset.lastModified)) {
+            for (const [header, value] of Object.entries(securityHeaders)) {
                 res.setHeader(header, value);
             }
+            res.writeHead(304);
+            res.end();
+            return;
+        }
 
-            // HEAD request - return headers only
-            if (req.method === 'HEAD') {
-                res.setHeader('Content-Type', mimeType);
+        // HEAD request - return headers only
+        if (req.method === 'HEAD') {
+            res.setHeader('Content-Type', mimeType);
+            if (encoding) {
+                res.setHeader('Content-Encoding', encoding);
+                // Without a cached copy the compressed size is unknown, so it is left out
+                if (encoded[encoding]) res.setHeader('Content-Length', encoded[encoding].length);
+            } else {
                 res.setHeader('Content-Length', data.length);
-                for (const [header, value] of Object.entries(securityHeaders)) {
-                    res.setHeader(header, value);
-                }
-                res.writeHead(200);
-                res.end();
-                return;
             }
+            for (const [header, value] of Object.entries(securityHeaders)) {
+                res.setHeader(header, value);
+            }
+            res.writeHead(200);
+            res.end();
+            return;
+        }
 
-            // Compress and send response
-            compressResponse(req, res, data, mimeType);
-        });
+        // Compress and send response
+        compressResponse(req, res, data, mimeType, encoded);
     });
+}
+
+// Plain HTTP listener for the redirect port: every request is sent to the same
+// path on the HTTPS site
+function redirectToHttps(req, res) {
+    logWhenDone(req, res, req.socket.remoteAddress || 'unknown');
+
+    const host = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!/^([A-Za-z0-9-]+\.)*[A-Za-z0-9-]+$|^\[[0-9A-Fa-f:.]+\]$/.test(host)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('400 Bad Request');
+        return;
+    }
+
+    const port = config.port === 443 ? '' : `:${config.port}`;
+    const location = `https://${host}${port}${req.url.startsWith('/') ? req.url : '/'}`;
+    res.writeHead(301, { 'Location': location, 'Content-Type': 'text/plain' });
+    res.end('301 Moved Permanently');
+}
+
+function readTlsCredentials() {
+    return { cert: fs.readFileSync(config.tls.cert), key: fs.readFileSync(config.tls.key) };
+}
+
+let server;
+try {
+    server = TLS_ENABLED ? https.createServer(readTlsCredentials(), handleRequest) : http.createServer(handleRequest);
+} catch (error) {
+    console.error(`Configuration error: Unable to load the TLS certificate and key: ${error.message}`);
+    process.exit(1);
+}
+
+server.on('error', (error) => {
+    log.error(`Unable to listen on ${config.host}:${config.port}: ${error.message}`);
+    process.exit(1);
 });
 
-server.listen(PORT, HOSTNAME, () => {
-    console.log(`\n===========================================`);
-    console.log(`Retirement Countdown Server Running!`);
-    console.log(`===========================================`);
-    console.log(`Local:    http://localhost:${PORT}`);
-    console.log(`===========================================\n`);
-    console.log(`Press Ctrl+C to stop the server\n`);
+const redirectServer = config.tls.redirectPort ? http.createServer(redirectToHttps) : null;
+if (redirectServer) {
+    redirectServer.on('error', (error) => {
+        log.error(`Unable to listen on ${config.host}:${config.tls.redirectPort}: ${error.message}`);
+        process.exit(1);
+    });
+    redirectServer.listen(config.tls.redirectPort, config.host);
+}
+
+server.listen(config.port, config.host, () => {
+    log.info(`\n===========================================`);
+    log.info(`Retirement Countdown Server Running!`);
+    log.info(`===========================================`);
+    log.info(`Local:    ${TLS_ENABLED ? 'https' : 'http'}://localhost:${config.port}`);
+    if (redirectServer) {
+        log.info(`Redirect: http://localhost:${config.tls.redirectPort} -> HTTPS`);
+    }
+    log.info(`Serving:  ${config.root}`);
+    log.info(`===========================================\n`);
+    log.info(`Press Ctrl+C to stop the server\n`);
 });
 
+function logAssetCacheStats() {
+    const { hits, misses, evictions, invalidations, entries, bytes } = assetCache.getStats();
+    log.info(`Asset cache: ${hits} hits, ${misses} misses, ${evictions} evictions, ` +
+        `${invalidations} invalidations, ${entries} files in ${bytes} bytes`);
+}
+
+// `kill -USR2 <pid>` reports how well the cache is doing without a restart
+process.on('SIGUSR2', logAssetCacheStats);
+
+// Renewed certificates (e.g. from certbot) are picked up with `kill -HUP <pid>`;
+// new connections use them while open ones finish on the old ones. Without TLS,
+// SIGHUP keeps its default behaviour.
+if (TLS_ENABLED) {
+    process.on('SIGHUP', () => {
+        try {
+            server.setSecureContext(readTlsCredentials());
+            log.info('TLS certificate reloaded');
+        } catch (error) {
+            log.error(`TLS certificate reload failed, keeping the current one: ${error.message}`);
+        }
+    });
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('\nSIGTERM received, shutting down gracefully...');
+    log.info('\nSIGTERM received, shutting down gracefully...');
+    closeAllStreams();
+    logAssetCacheStats();
+    if (redirectServer) redirectServer.close();
     server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
+        log.info('Server closed');
+        accessLogger.close(() => process.exit(0));
     });
 });
 
 process.on('SIGINT', () => {
-    console.log('\nSIGINT received, shutting down gracefully...');
+    log.info('\nSIGINT received, shutting down gracefully...');
+    closeAllStreams();
+    logAssetCacheStats();
+    if (redirectServer) redirectServer.close();
     server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
+        log.info('Server closed');
+        accessLogger.close(() => process.exit(0));
     });
 });
@@ -0,0 +1,109 @@
+// Service worker: precaches the app shell so the countdown works offline, and
+// shows the notifications planned by the page (see buildNotificationPlan in script.js).
+// Bump CACHE_VERSION whenever a precached file changes; the new worker then
+// re-downloads everything and removes the old cache.
+const CACHE_VERSION = 'v5';
+const CACHE_PREFIX = 'retirement-countdown-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Notification plan and delivered ids outlive cache upgrades, so this name must
+// not start with CACHE_PREFIX
+const NOTIFICATION_STATE_CACHE = 'retirement-notification-state';
+const NOTIFICATION_STATE_URL = 'notification-state.json';
+const MAX_DELIVERED_NOTIFICATIONS = 500;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'countdown-core.js',
+    'script.js',
+    'styles.css',
+    'favicon.svg',
+    'manifest.webmanifest'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the browser's HTTP cache, where assets live for a year
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Pages (including share links with query strings) are served from the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || fetch(request))
+                .catch(() => caches.match('index.html'))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
+
+function readNotificationState() {
+    return caches.open(NOTIFICATION_STATE_CACHE)
+        .then(cache => cache.match(NOTIFICATION_STATE_URL))
+        .then(response => (response ? response.json() : null))
+        .then(state => state || { plan: [], delivered: [] })
+        .catch(() => ({ plan: [], delivered: [] }));
+}
+
+function writeNotificationState(state) {
+    return caches.open(NOTIFICATION_STATE_CACHE).then(cache => cache.put(NOTIFICATION_STATE_URL,
+        new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } })));
+}
+
+// Show every planned notification that is due and has not been shown yet
+function deliverDueNotifications(state) {
+    const now = Date.now();
+    const due = state.plan.filter(event => event.at <= now && !state.delivered.includes(event.id));
+    if (due.length === 0) return writeNotificationState(state);
+
+    state.delivered = state.delivered.concat(due.map(event => event.id)).slice(-MAX_DELIVERED_NOTIFICATIONS);
+    return Promise.all(due.map(event => self.registration.showNotification(event.title, {
+        body: event.body,
+        tag: event.id,
+        icon: 'favicon.svg'
+    }))).then(() => writeNotificationState(state));
+}
+
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'notification-plan' || !Array.isArray(event.data.plan)) return;
+    const plan = event.data.plan;
+    event.waitUntil(readNotificationState().then(state => deliverDueNotifications({ plan, delivered: state.delivered })));
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== 'notification-check') return;
+    event.waitUntil(readNotificationState().then(deliverDueNotifications));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./');
+        })
+    );
+});
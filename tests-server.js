@@ -5,17 +5,34 @@
  * - Security headers
  * - Path traversal protection
  * - Rate limiting
- * - Response compression
+ * - Response compression (Brotli, gzip, q-values, sidecars)
+ * - Conditional requests (ETag, Last-Modified, 304)
+ * - In-memory asset cache (hits, invalidation, memory cap)
+ * - HTTPS (self-signed certificate, HSTS, HTTP redirect, SIGHUP reload)
+ * - Access logging (JSON and Combined Log Format lines, levels, file rotation)
  * - Method validation
+ * - Share link page titles
+ * - Calendar (.ics) feed
+ * - JSON countdown API
+ * - Configuration (CLI flags, environment, config file, validation)
+ * - Server-Sent Events countdown stream and shutdown teardown
  *
  * Run with: node tests-server.js
  * Prerequisites: Server should NOT be running (tests start their own instance)
  */
 
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const assert = require('assert');
-const { spawn } = require('child_process');
+const { spawn, execFileSync } = require('child_process');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { loadConfig } = require('./config');
+const { createAssetCache } = require('./asset-cache');
+const { formatAccessLine, createAccessLogger } = require('./access-log');
 
 // ANSI color codes
 const colors = {
@@ -69,10 +86,15 @@ function describe(suiteName, fn) {
  */
 function makeRequest(options) {
     return new Promise((resolve, reject) => {
-        const req = http.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve({ res, data }));
+        const transport = options.protocol === 'https:' ? https : http;
+        const req = transport.request(options, (res) => {
+            // Binary requests resolve with a Buffer, for checking compressed bodies
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const body = Buffer.concat(chunks);
+                resolve({ res, data: options.binary ? body : body.toString() });
+            });
         });
 
         req.on('error', reject);
@@ -89,6 +111,49 @@ function makeRequest(options) {
     });
 }
 
+/**
+ * Open an event stream and collect its events; waitFor() resolves once an event
+ * matching the predicate has arrived
+ */
+function openStream(query) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ hostname: TEST_HOST, port: TEST_PORT, path: `/api/countdown/stream${query}` }, (res) => {
+            const stream = { req, res, events: [], raw: '', ended: false, listeners: [] };
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                stream.raw += chunk;
+                const blocks = stream.raw.split('\n\n');
+                stream.raw = blocks.pop();
+                blocks.forEach(block => {
+                    const event = (/^event: (.*)$/m.exec(block) || [])[1];
+                    const data = (/^data: (.*)$/m.exec(block) || [])[1];
+                    if (event) stream.events.push({ event, data: JSON.parse(data) });
+                });
+                stream.listeners.forEach(check => check());
+            });
+            res.on('end', () => {
+                stream.ended = true;
+                stream.listeners.forEach(check => check());
+            });
+            stream.waitFor = (predicate, timeout = 5000) => new Promise((done, fail) => {
+                const timer = setTimeout(() => fail(new Error('Timed out waiting for stream event')), timeout);
+                const check = () => {
+                    const found = stream.events.find(predicate);
+                    if (found) {
+                        clearTimeout(timer);
+                        done(found);
+                    }
+                };
+                stream.listeners.push(check);
+                check();
+            });
+            stream.close = () => req.destroy();
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+}
+
 /**
  * Start test server
  */
@@ -97,7 +162,7 @@ function startServer() {
         const serverPath = path.join(__dirname, 'server.js');
         serverProcess = spawn('node', [serverPath], {
             stdio: ['ignore', 'pipe', 'pipe'],
-            env: { ...process.env }
+            env: { ...process.env, PORT: String(TEST_PORT), HOST: '0.0.0.0' }
         });
 
         let output = '';
@@ -119,6 +184,41 @@ function startServer() {
     });
 }
 
+/**
+ * Start an extra server with its own flags and environment. Resolves with the
+ * child once it is listening, or with the exit code if it refuses to start.
+ */
+function spawnServer(args, env) {
+    return new Promise((resolve) => {
+        const child = spawn('node', [path.join(__dirname, 'server.js'), ...args], {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, ...env }
+        });
+
+        // Only a server that never reports running is killed
+        const startTimeout = setTimeout(() => {
+            child.kill('SIGKILL');
+            resolve({ output });
+        }, 5000);
+
+        let output = '';
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+            if (output.includes('Retirement Countdown Server Running')) {
+                clearTimeout(startTimeout);
+                resolve({ child, output });
+            }
+        });
+        child.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+        child.on('exit', (code) => {
+            clearTimeout(startTimeout);
+            resolve({ code, output });
+        });
+    });
+}
+
 /**
  * Stop test server
  */
@@ -476,6 +576,20 @@ async function runContentTypeTests() {
             assert.strictEqual(res.headers['content-type'], 'text/javascript',
                 'JS files should have text/javascript content type');
         });
+
+        await test('Should return application/manifest+json for the web app manifest', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/manifest.webmanifest',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 200, 'Manifest should be served');
+            assert.strictEqual(res.headers['content-type'], 'application/manifest+json',
+                'Manifest should have the manifest content type');
+            assert.strictEqual(JSON.parse(data).start_url, './', 'Manifest should be valid JSON');
+        });
     });
 }
 
@@ -516,6 +630,33 @@ async function runCacheHeaderTests() {
             assert.ok(res.headers['cache-control'].includes('max-age'),
                 'JS should have cache-control with max-age');
         });
+
+        await test('Should never cache the service worker long-term', async () => {
+            const { res } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/sw.js',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.headers['content-type'], 'text/javascript', 'Worker should be JavaScript');
+            assert.ok(res.headers['cache-control'].includes('no-cache'),
+                'Service worker should be revalidated so updates are found');
+            assert.ok(!res.headers['cache-control'].includes('immutable'),
+                'Service worker must not be immutable');
+        });
+
+        await test('Should revalidate the web app manifest', async () => {
+            const { res } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/manifest.webmanifest',
+                method: 'GET'
+            });
+
+            assert.ok(res.headers['cache-control'].includes('no-cache'),
+                'Manifest should have no-cache policy');
+        });
     });
 }
 
@@ -528,7 +669,7 @@ async function runCompressionTests() {
                 path: '/index.html',
                 method: 'GET',
                 headers: {
-                    'Accept-Encoding': 'gzip, deflate, br'
+                    'Accept-Encoding': 'gzip, deflate'
                 }
             });
 
@@ -549,6 +690,353 @@ async function runCompressionTests() {
             assert.ok(res.headers['content-length'],
                 'Should include Content-Length header');
         });
+
+        const original = fs.readFileSync(path.join(__dirname, 'styles.css'));
+        const requestStyles = (acceptEncoding) => makeRequest({
+            hostname: TEST_HOST,
+            port: TEST_PORT,
+            path: '/styles.css',
+            method: 'GET',
+            headers: { 'Accept-Encoding': acceptEncoding },
+            binary: true
+        });
+
+        await test('Should prefer Brotli when it is accepted as readily as gzip', async () => {
+            const { res, data } = await requestStyles('gzip, deflate, br');
+
+            assert.strictEqual(res.headers['content-encoding'], 'br');
+            assert.strictEqual(res.headers['vary'], 'Accept-Encoding');
+            assert.strictEqual(Number(res.headers['content-length']), data.length);
+            assert.ok(zlib.brotliDecompressSync(data).equals(original), 'Brotli body should decompress to the file');
+        });
+
+        await test('Should follow Accept-Encoding q-values', async () => {
+            const { res, data } = await requestStyles('br;q=0.5, gzip;q=0.8');
+
+            assert.strictEqual(res.headers['content-encoding'], 'gzip');
+            assert.ok(zlib.gunzipSync(data).equals(original), 'gzip body should decompress to the file');
+        });
+
+        await test('Should send identity when every coding is refused or rated below it', async () => {
+            for (const acceptEncoding of ['br;q=0, gzip;q=0', 'identity, gzip;q=0.5', 'gzip;q=abc']) {
+                const { res, data } = await requestStyles(acceptEncoding);
+
+                assert.strictEqual(res.headers['content-encoding'], undefined, acceptEncoding);
+                assert.strictEqual(res.headers['vary'], 'Accept-Encoding', 'Identity responses still vary');
+                assert.ok(data.equals(original), `Body should be the file as is for "${acceptEncoding}"`);
+            }
+        });
+
+        await test('Should apply a wildcard to unlisted codings', async () => {
+            const { res, data } = await requestStyles('gzip;q=0.2, *;q=0.9');
+
+            assert.strictEqual(res.headers['content-encoding'], 'br');
+            assert.ok(zlib.brotliDecompressSync(data).equals(original));
+        });
+
+        await test('Should compress personalized share pages on the fly', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/?retire=2030-01-01T17:00&owner=Pat',
+                method: 'GET',
+                headers: { 'Accept-Encoding': 'br' },
+                binary: true
+            });
+
+            assert.strictEqual(res.headers['content-encoding'], 'br');
+            assert.ok(zlib.brotliDecompressSync(data).toString().includes("<title>Pat&#39;s Countdown to Retirement</title>"));
+        });
+
+        await test('Should serve pre-built .br and .gz sidecars byte for byte', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'countdown-sidecars-'));
+            const text = 'body { margin: 0; }\n'.repeat(100);
+            const brotli = zlib.brotliCompressSync(text);
+            const gzip = zlib.gzipSync(text, { level: 1 });
+            fs.writeFileSync(path.join(dir, 'page.css'), text);
+            fs.writeFileSync(path.join(dir, 'page.css.br'), brotli);
+            fs.writeFileSync(path.join(dir, 'page.css.gz'), gzip);
+
+            const port = TEST_PORT + 1;
+            const { child, output } = await spawnServer(['--root', dir], { PORT: String(port) });
+            assert.strictEqual(Boolean(child), true, `Server should start: ${output}`);
+
+            try {
+                const request = (acceptEncoding) => makeRequest({
+                    hostname: TEST_HOST,
+                    port,
+                    path: '/page.css',
+                    method: 'GET',
+                    headers: { 'Accept-Encoding': acceptEncoding },
+                    binary: true
+                });
+
+                const { res: brRes, data: brData } = await request('br');
+                assert.strictEqual(brRes.headers['content-encoding'], 'br');
+                assert.ok(brData.equals(brotli), 'The .br sidecar should be sent unchanged');
+                assert.strictEqual(zlib.brotliDecompressSync(brData).toString(), text);
+
+                const { res: gzRes, data: gzData } = await request('gzip');
+                assert.strictEqual(gzRes.headers['content-encoding'], 'gzip');
+                assert.ok(gzData.equals(gzip), 'The .gz sidecar should be sent unchanged');
+                assert.strictEqual(zlib.gunzipSync(gzData).toString(), text);
+            } finally {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill('SIGTERM');
+                });
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+}
+
+async function runConditionalRequestTests() {
+    await describe('SERVER TESTS - Conditional Requests', async () => {
+        const request = (method, headers = {}) => makeRequest({
+            hostname: TEST_HOST,
+            port: TEST_PORT,
+            path: '/styles.css',
+            method,
+            headers
+        });
+
+        const { res: first } = await request('GET');
+        const etag = first.headers['etag'];
+        const lastModified = first.headers['last-modified'];
+
+        await test('Should send a strong ETag and Last-Modified on GET', async () => {
+            assert.ok(/^"[0-9a-f]+"$/.test(etag), `ETag should be a quoted content hash, got ${etag}`);
+            assert.ok(!isNaN(Date.parse(lastModified)), 'Last-Modified should be an HTTP date');
+        });
+
+        await test('Should send the same validators on HEAD', async () => {
+            const { res } = await request('HEAD');
+
+            assert.strictEqual(res.headers['etag'], etag);
+            assert.strictEqual(res.headers['last-modified'], lastModified);
+        });
+
+        await test('Should return 304 without a body when If-None-Match matches', async () => {
+            const { res, data } = await request('GET', { 'If-None-Match': `"other", ${etag}` });
+
+            assert.strictEqual(res.statusCode, 304);
+            assert.strictEqual(data, '');
+            assert.strictEqual(res.headers['etag'], etag);
+            assert.ok(res.headers['cache-control'], '304 should repeat the cache policy');
+        });
+
+        await test('Should return 304 on HEAD when If-None-Match matches', async () => {
+            const { res } = await request('HEAD', { 'If-None-Match': etag });
+
+            assert.strictEqual(res.statusCode, 304);
+        });
+
+        await test('Should return the full response when If-None-Match does not match', async () => {
+            const { res, data } = await request('GET', { 'If-None-Match': '"stale"' });
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.ok(data.length > 0, 'Body should be sent');
+        });
+
+        await test('Should return 304 when not modified since Last-Modified', async () => {
+            const { res } = await request('GET', { 'If-Modified-Since': lastModified });
+
+            assert.strictEqual(res.statusCode, 304);
+        });
+
+        await test('Should return the full response when modified since the given date', async () => {
+            const earlier = new Date(Date.parse(lastModified) - 1000).toUTCString();
+            const { res } = await request('GET', { 'If-Modified-Since': earlier });
+
+            assert.strictEqual(res.statusCode, 200);
+        });
+
+        await test('Should let a mismatched If-None-Match win over If-Modified-Since', async () => {
+            const { res } = await request('GET', {
+                'If-None-Match': '"stale"',
+                'If-Modified-Since': lastModified
+            });
+
+            assert.strictEqual(res.statusCode, 200);
+        });
+
+        await test('Should give gzipped responses a distinct ETag', async () => {
+            const { res } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/index.html',
+                method: 'GET',
+                headers: { 'Accept-Encoding': 'gzip' }
+            });
+
+            assert.strictEqual(res.headers['content-encoding'], 'gzip');
+            assert.ok(res.headers['etag'].endsWith('-gzip"'), 'Encoded ETag should name its encoding');
+        });
+    });
+}
+
+// Cache lookup as a promise resolving with { entry, hit }
+function getAsset(cache, fullPath) {
+    return new Promise((resolve, reject) => {
+        cache.get(fullPath, (err, entry, hit) => err ? reject(err) : resolve({ entry, hit }));
+    });
+}
+
+async function runAssetCacheTests() {
+    await describe('SERVER TESTS - Asset Cache', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'countdown-assets-'));
+        const file = (name, content) => {
+            const fullPath = path.join(dir, name);
+            fs.writeFileSync(fullPath, content);
+            return fullPath;
+        };
+
+        try {
+            await test('Should serve repeat lookups from memory and count hits and misses', async () => {
+                const cache = createAssetCache({ maxBytes: 10000 });
+                const fullPath = file('a.css', 'body { color: red; }');
+                try {
+                    const first = await getAsset(cache, fullPath);
+                    const second = await getAsset(cache, fullPath);
+
+                    assert.strictEqual(first.hit, false);
+                    assert.strictEqual(second.hit, true);
+                    assert.strictEqual(second.entry.data.toString(), 'body { color: red; }');
+                    const stats = cache.getStats();
+                    assert.strictEqual(stats.hits, 1);
+                    assert.strictEqual(stats.misses, 1);
+                    assert.strictEqual(stats.bytes, 20);
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should keep Brotli and gzip copies of compressible files', async () => {
+                const text = 'countdown '.repeat(200);
+                const cache = createAssetCache({ maxBytes: 10000, shouldCompress: () => true });
+                try {
+                    const { entry } = await getAsset(cache, file('b.css', text));
+                    const { br, gzip } = entry.encoded;
+
+                    assert.strictEqual(zlib.brotliDecompressSync(br).toString(), text);
+                    assert.strictEqual(zlib.gunzipSync(gzip).toString(), text);
+                    assert.strictEqual(cache.getStats().bytes, text.length + br.length + gzip.length);
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should ignore sidecars older than their file', async () => {
+                const cache = createAssetCache({ maxBytes: 10000 });
+                const fullPath = file('stale.css', 'fresh');
+                file('stale.css.gz', zlib.gzipSync('stale'));
+                const earlier = new Date(Date.now() - 60000);
+                fs.utimesSync(fullPath + '.gz', earlier, earlier);
+                try {
+                    const { entry } = await getAsset(cache, fullPath);
+
+                    assert.strictEqual(entry.encoded.gzip, undefined, 'Stale sidecar should not be used');
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should drop an entry when the watched file changes', async () => {
+                const cache = createAssetCache({ maxBytes: 10000 });
+                const fullPath = file('c.css', 'old');
+                try {
+                    await getAsset(cache, fullPath);
+                    fs.writeFileSync(fullPath, 'new content');
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                    const { entry, hit } = await getAsset(cache, fullPath);
+
+                    assert.strictEqual(hit, false);
+                    assert.strictEqual(entry.data.toString(), 'new content');
+                    assert.strictEqual(cache.getStats().invalidations >= 1, true);
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should notice changes by mtime when not watching', async () => {
+                const cache = createAssetCache({ maxBytes: 10000, watch: false });
+                const fullPath = file('d.css', 'old');
+                try {
+                    await getAsset(cache, fullPath);
+                    assert.strictEqual((await getAsset(cache, fullPath)).hit, true);
+
+                    fs.writeFileSync(fullPath, 'newer');
+                    const later = new Date(Date.now() + 5000);
+                    fs.utimesSync(fullPath, later, later);
+                    const { entry, hit } = await getAsset(cache, fullPath);
+
+                    assert.strictEqual(hit, false);
+                    assert.strictEqual(entry.data.toString(), 'newer');
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should evict the least recently used files to stay under the cap', async () => {
+                const cache = createAssetCache({ maxBytes: 250 });
+                const paths = ['e.css', 'f.css', 'g.css'].map(name => file(name, 'x'.repeat(100)));
+                try {
+                    await getAsset(cache, paths[0]);
+                    await getAsset(cache, paths[1]);
+                    await getAsset(cache, paths[0]);
+                    await getAsset(cache, paths[2]);
+
+                    assert.strictEqual(cache.getStats().evictions, 1);
+                    assert.strictEqual(cache.getStats().bytes, 200);
+                    assert.strictEqual((await getAsset(cache, paths[0])).hit, true, 'Recently used file stays');
+                    assert.strictEqual((await getAsset(cache, paths[1])).hit, false, 'Oldest file was evicted');
+                } finally {
+                    cache.clear();
+                }
+            });
+
+            await test('Should not cache anything with a cap of 0', async () => {
+                const cache = createAssetCache({ maxBytes: 0 });
+                const fullPath = file('h.css', 'tiny');
+                await getAsset(cache, fullPath);
+
+                assert.strictEqual((await getAsset(cache, fullPath)).hit, false);
+                assert.strictEqual(cache.getStats().entries, 0);
+            });
+
+            await test('Should not precompress files that will not be cached', async () => {
+                const text = 'countdown '.repeat(200);
+                const disabled = createAssetCache({ maxBytes: 0, shouldCompress: () => true });
+                const tooSmall = createAssetCache({ maxBytes: 1000, shouldCompress: () => true });
+
+                assert.deepStrictEqual((await getAsset(disabled, file('i.css', text))).entry.encoded, {},
+                    'A disabled cache leaves compression to each request');
+                assert.deepStrictEqual((await getAsset(tooSmall, file('j.css', text))).entry.encoded, {},
+                    'A file over the cap is not compressed either');
+                tooSmall.clear();
+            });
+
+            await test('Should report cache hits and serve the cached gzip copy over HTTP', async () => {
+                const request = () => makeRequest({
+                    hostname: TEST_HOST,
+                    port: TEST_PORT,
+                    path: '/styles.css',
+                    method: 'GET',
+                    headers: { 'Accept-Encoding': 'gzip' },
+                    binary: true
+                });
+                await request();
+                const { res, data } = await request();
+
+                assert.strictEqual(res.headers['x-cache'], 'HIT');
+                assert.strictEqual(res.headers['content-encoding'], 'gzip');
+                assert.strictEqual(zlib.gunzipSync(data).toString(),
+                    fs.readFileSync(path.join(__dirname, 'styles.css'), 'utf8'));
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
     });
 }
 
@@ -627,10 +1115,728 @@ async function runRootPathTests() {
     });
 }
 
+async function runSharedPageTests() {
+    await describe('SERVER TESTS - Shared Page Title', async () => {
+        await test('Should render the sharer\'s title for share links', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/?retire=2030-06-01T17%3A00&owner=Pat&subtitle=Almost+there',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 200, 'Share link should return 200');
+            assert.ok(data.includes('<title>Pat&#39;s Countdown to Retirement</title>'),
+                'Document title should use the owner name');
+            assert.ok(data.includes('<h1 class="title">Pat&#39;s Countdown to Retirement</h1>'),
+                'Heading should use the owner name');
+            assert.ok(data.includes('<p class="subtitle">Almost there</p>'),
+                'Subtitle should come from the link');
+        });
+
+        await test('Should escape HTML in shared page text', async () => {
+            const { data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/?retire=2030-06-01T17%3A00&heading=%3Cscript%3Ealert(1)%3C%2Fscript%3E',
+                method: 'GET'
+            });
+
+            assert.ok(!data.includes('<script>alert(1)</script>'), 'Markup must not be injected');
+            assert.ok(data.includes('&lt;script&gt;alert(1)&lt;/script&gt;'), 'Heading should be escaped');
+        });
+
+        await test('Should serve the default page without share parameters', async () => {
+            const { data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/?owner=Pat',
+                method: 'GET'
+            });
+
+            assert.ok(data.includes("<title>Kyle's Countdown to Retirement</title>"),
+                'Only share links should change the page title');
+        });
+    });
+}
+
 // =============================================================================
 // MAIN TEST EXECUTION
 // =============================================================================
 
+async function runCalendarFeedTests() {
+    await describe('SERVER TESTS - Calendar Feed', async () => {
+        const feedPath = '/calendar.ics?retire=2030-06-01T17%3A00&tz=America%2FNew_York&title=Pat%27s+Retirement' +
+            '&milestone=100%7C%F0%9F%92%AF%7CDouble+Digits&milestone=1%7C%F0%9F%94%A5%7CLAST+DAY!';
+
+        await test('Should serve the calendar feed as text/calendar', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: feedPath,
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 200, 'Feed should return 200');
+            assert.strictEqual(res.headers['content-type'], 'text/calendar; charset=utf-8');
+            assert.strictEqual(res.headers['x-content-type-options'], 'nosniff', 'Feed should carry security headers');
+            assert.ok(data.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'), 'Feed should be an iCalendar file');
+            assert.ok(data.endsWith('END:VCALENDAR\r\n'), 'Feed should end the calendar');
+        });
+
+        await test('Should derive event dates from the retirement date and milestones', async () => {
+            const { data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: feedPath,
+                method: 'GET'
+            });
+
+            const starts = data.match(/DTSTART;VALUE=DATE:\d{8}/g);
+            assert.deepStrictEqual(starts, [
+                'DTSTART;VALUE=DATE:20300601',
+                'DTSTART;VALUE=DATE:20300220',
+                'DTSTART;VALUE=DATE:20300530'
+            ]);
+            assert.strictEqual((data.match(/BEGIN:VALARM/g) || []).length, 4, 'Every event should have an alarm');
+            assert.ok(data.includes('X-WR-CALNAME:Pat\'s Retirement'), 'Calendar should be named after the countdown');
+        });
+
+        await test('Should answer HEAD requests for the feed without a body', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: feedPath,
+                method: 'HEAD'
+            });
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(data, '');
+            assert.ok(Number(res.headers['content-length']) > 0, 'HEAD should report the feed size');
+        });
+
+        await test('Should reject invalid feed parameters', async () => {
+            const { res } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/calendar.ics?retire=2030-06-01&tz=Not%2FAZone',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 400, 'Unknown time zones should be rejected');
+        });
+    });
+}
+
+async function runCountdownApiTests() {
+    await describe('SERVER TESTS - Countdown API', async () => {
+        const getJson = async (query, method = 'GET') => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: `/api/countdown${query}`,
+                method
+            });
+            return { res, data, body: data ? JSON.parse(data) : null };
+        };
+
+        await test('Should return the countdown as JSON with security headers', async () => {
+            const { res, body } = await getJson('?retire=2070-01-01T00%3A00&start=2000-01-01&tz=UTC&title=Team+Lead');
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers['content-type'], 'application/json; charset=utf-8');
+            assert.strictEqual(res.headers['cache-control'], 'no-store', 'Live numbers must not be cached');
+            assert.strictEqual(res.headers['x-frame-options'], 'DENY');
+            assert.strictEqual(res.headers['content-security-policy'].includes("default-src 'self'"), true);
+            assert.strictEqual(body.name, 'Team Lead');
+            assert.strictEqual(body.retired, false);
+            assert.strictEqual(body.retirementDate, '2070-01-01T00:00:00.000Z');
+        });
+
+        await test('Should report the same numbers as the page calculations', async () => {
+            const { body } = await getJson('?retire=2070-01-01T00%3A00&start=2000-01-01&tz=UTC');
+            const now = new Date(body.generatedAt);
+            const totalSeconds = Math.floor((new Date('2070-01-01T00:00:00Z') - now) / 1000);
+            const progress = (now - new Date('2000-01-01T00:00:00Z')) / (new Date('2070-01-01T00:00:00Z') - new Date('2000-01-01T00:00:00Z')) * 100;
+
+            assert.strictEqual(body.days, Math.floor(totalSeconds / 86400));
+            assert.strictEqual(body.hours, Math.floor(totalSeconds / 3600) % 24);
+            assert.strictEqual(body.minutes, Math.floor(totalSeconds / 60) % 60);
+            assert.strictEqual(body.seconds, totalSeconds % 60);
+            assert.strictEqual(body.progressPercentage, Math.round(progress * 100) / 100);
+            assert.strictEqual(body.workDaysRemaining > body.days * 0.7 && body.workDaysRemaining < body.days * 0.72, true,
+                'A Monday-Friday schedule works about 5 of every 7 days');
+            assert.strictEqual(body.nextMilestone.text, '2 Years to Go', 'Default milestones apply without a milestone parameter');
+            assert.strictEqual(body.nextMilestone.daysUntil, body.days - 730);
+        });
+
+        await test('Should honor milestone, holiday and schedule parameters', async () => {
+            const base = '?retire=2070-01-01T00%3A00&start=2000-01-01&tz=UTC';
+            const { body: standard } = await getJson(base);
+            const { body } = await getJson(`${base}&holidays=us-federal&schedule=four-tens&milestone=10%7C%F0%9F%8E%89%7CTen+Days`);
+
+            assert.strictEqual(body.nextMilestone.text, 'Ten Days');
+            assert.strictEqual(body.nextMilestone.date, '2069-12-21');
+            assert.strictEqual(body.workDaysRemaining < standard.workDaysRemaining, true,
+                'Fewer scheduled days and holidays should leave fewer work days');
+        });
+
+        await test('Should count up after retirement', async () => {
+            const { body } = await getJson('?retire=2020-01-01T00%3A00&start=2000-01-01&tz=UTC');
+
+            assert.strictEqual(body.retired, true);
+            assert.strictEqual(body.days, 0);
+            assert.strictEqual(body.workDaysRemaining, 0);
+            assert.strictEqual(body.progressPercentage, 100);
+            assert.strictEqual(body.nextMilestone, null);
+            assert.strictEqual(body.sinceRetirement.days > 365, true);
+        });
+
+        await test('Should reject invalid parameters with a JSON error', async () => {
+            const { res, body } = await getJson('?retire=2070-01-01&tz=Not%2FAZone');
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(body.error, 'Unknown time zone');
+
+            const { res: scheduleRes } = await getJson('?retire=2070-01-01&schedule=always');
+            assert.strictEqual(scheduleRes.statusCode, 400, 'Unknown schedules should be rejected');
+        });
+
+        await test('Should reject impossible dates instead of rolling them over', async () => {
+            for (const retire of ['2030-02-31T10:00', '2026-13-45T25:99', '0050-01-01T00:00']) {
+                const { res, body } = await getJson(`?retire=${retire}`);
+
+                assert.strictEqual(res.statusCode, 400, `${retire} should be rejected`);
+                assert.strictEqual(body.error, 'Invalid retirement date');
+            }
+        });
+
+        await test('Should reject retirement dates more than 50 years out, as the page does', async () => {
+            const { res, body } = await getJson('?retire=9999-12-31T00%3A00&holidays=us-federal');
+            const { res: feedRes } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/calendar.ics?retire=9999-12-31T00%3A00',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(body.error, 'Retirement date cannot be more than 50 years in the future');
+            assert.strictEqual(feedRes.statusCode, 400, 'The calendar feed has the same limit');
+        });
+
+        await test('Should answer HEAD requests for the API without a body', async () => {
+            const { res, data } = await getJson('?retire=2070-01-01', 'HEAD');
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(data, '');
+            assert.strictEqual(Number(res.headers['content-length']) > 0, true);
+        });
+    });
+}
+
+async function runConfigurationTests() {
+    await describe('SERVER TESTS - Configuration', async () => {
+        await test('Should apply CLI flags, then environment, then config file, then defaults', async () => {
+            const file = path.join(os.tmpdir(), `countdown-config-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                port: 9001,
+                host: '127.0.0.1',
+                rateLimit: { maxRequests: 50, windowMs: 30000, maxStreams: 40 },
+                logging: { level: 'warn' }
+            }));
+            try {
+                const { config, errors } = loadConfig(
+                    ['--config', file, '--port=9003', '--max-streams', '20'],
+                    { PORT: '9002', RATE_LIMIT_MAX: '75', MAX_STREAMS: '30' }
+                );
+
+                assert.strictEqual(errors, undefined);
+                assert.strictEqual(config.port, 9003, 'CLI flag should win');
+                assert.strictEqual(config.rateLimit.maxRequests, 75, 'Environment should beat the file');
+                assert.strictEqual(config.rateLimit.windowMs, 30000, 'File should beat the default');
+                assert.strictEqual(config.rateLimit.maxStreams, 20, 'CLI stream limit should beat the environment and file');
+                assert.strictEqual(config.rateLimit.maxStreamsPerIp, 5);
+                assert.strictEqual(config.host, '127.0.0.1');
+                assert.strictEqual(config.logging.level, 'warn');
+                assert.strictEqual(config.cache.staticMaxAge, 31536000, 'Unset values keep their defaults');
+                assert.strictEqual(config.root, __dirname);
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        await test('Should merge CSP overrides into the default policy', async () => {
+            const { config } = loadConfig(['--csp', "img-src 'self' https:; connect-src 'self' https://api.example.com"], {});
+
+            assert.strictEqual(config.contentSecurityPolicy.includes("img-src 'self' https:"), true);
+            assert.strictEqual(config.contentSecurityPolicy.includes("connect-src 'self' https://api.example.com"), true);
+            assert.strictEqual(config.contentSecurityPolicy.includes("default-src 'self'"), true, 'Other directives stay');
+        });
+
+        await test('Should report every invalid setting with its source', async () => {
+            const { config, errors } = loadConfig(
+                ['--log-level', 'loud', '--verbose'],
+                { PORT: 'eighty', DOCUMENT_ROOT: '/no/such/directory', CSP_OVERRIDES: 'img-src' }
+            );
+
+            assert.strictEqual(config, undefined);
+            assert.deepStrictEqual(errors, [
+                'Unknown option --verbose',
+                'Invalid port "eighty" from PORT: must be a whole number from 1 to 65535',
+                'Invalid root "/no/such/directory" from DOCUMENT_ROOT: /no/such/directory does not exist',
+                'Invalid csp "img-src" from CSP_OVERRIDES: the img-src directive needs a value without ";", "," or line breaks',
+                'Invalid logging.level "loud" from --log-level: must be one of debug, info, warn, error, silent'
+            ]);
+        });
+
+        await test('Should refuse to start with an invalid configuration', async () => {
+            const { code, output } = await spawnServer(['--rate-limit-max', '0'], { PORT: String(TEST_PORT + 1) });
+
+            assert.strictEqual(code, 1, 'Server should exit with an error');
+            assert.strictEqual(output.includes('Configuration error: Invalid rateLimit.maxRequests "0" from --rate-limit-max'), true);
+        });
+
+        await test('Should serve with configured rate limits, CSP and cache lifetimes', async () => {
+            const port = TEST_PORT + 1;
+            const { child, output } = await spawnServer(['--rate-limit-max', '3'], {
+                PORT: String(port),
+                CSP_OVERRIDES: "img-src 'self' https:",
+                CACHE_STATIC_MAX_AGE: '600'
+            });
+            assert.strictEqual(Boolean(child), true, `Server should start: ${output}`);
+
+            try {
+                const request = () => makeRequest({ hostname: TEST_HOST, port, path: '/styles.css', method: 'GET' });
+                const { res } = await request();
+                assert.strictEqual(res.headers['cache-control'], 'public, max-age=600, immutable');
+                assert.strictEqual(res.headers['content-security-policy'].includes("img-src 'self' https:"), true);
+
+                await request();
+                await request();
+                const { res: limited } = await request();
+                assert.strictEqual(limited.statusCode, 429, 'Fourth request should exceed the configured limit');
+            } finally {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill('SIGTERM');
+                });
+            }
+        });
+    });
+}
+
+// Wall-clock UTC input value a given number of milliseconds from now
+function utcInputFromNow(ms) {
+    return new Date(Date.now() + ms).toISOString().slice(0, 19);
+}
+
+async function runCountdownStreamTests() {
+    await describe('SERVER TESTS - Countdown Stream', async () => {
+        await test('Should stream a tick every second as text/event-stream', async () => {
+            const stream = await openStream('?retire=2070-01-01T00%3A00&tz=UTC');
+            try {
+                assert.strictEqual(stream.res.statusCode, 200);
+                assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream; charset=utf-8');
+                assert.strictEqual(stream.res.headers['x-content-type-options'], 'nosniff', 'Streams should carry security headers');
+
+                await stream.waitFor((e, i) => e.event === 'tick' && i >= 1, 3000);
+                const ticks = stream.events.filter(e => e.event === 'tick');
+                assert.strictEqual(ticks[0].data.retired, false);
+                assert.strictEqual(typeof ticks[0].data.days, 'number');
+                assert.strictEqual(new Date(ticks[1].data.generatedAt) > new Date(ticks[0].data.generatedAt), true);
+            } finally {
+                stream.close();
+            }
+        });
+
+        await test('Should emit milestone and retirement events as they pass', async () => {
+            const soon = encodeURIComponent(utcInputFromNow(1500));
+            const nearMilestone = encodeURIComponent(utcInputFromNow(2 * 86400000 + 1500));
+            const retiring = await openStream(`?retire=${soon}&start=2000-01-01&tz=UTC`);
+            const milestone = await openStream(`?retire=${nearMilestone}&start=2000-01-01&tz=UTC&milestone=1%7C%F0%9F%94%A5%7CLast+Day`);
+            try {
+                const retirement = await retiring.waitFor(e => e.event === 'retirement', 4000);
+                assert.strictEqual(retirement.data.name, 'My Retirement');
+                const tick = await retiring.waitFor(e => e.event === 'tick' && e.data.retired);
+                assert.strictEqual(tick.data.sinceRetirement.days, 0);
+
+                const reached = await milestone.waitFor(e => e.event === 'milestone', 4000);
+                assert.strictEqual(reached.data.text, 'Last Day');
+                assert.strictEqual(reached.data.daysBefore, 1);
+            } finally {
+                retiring.close();
+                milestone.close();
+            }
+        });
+
+        await test('Should limit open streams per IP', async () => {
+            const streams = [];
+            try {
+                for (let i = 0; i < 5; i++) {
+                    streams.push(await openStream('?retire=2070-01-01'));
+                }
+                assert.strictEqual(streams.every(stream => stream.res.statusCode === 200), true);
+
+                const { res } = await makeRequest({
+                    hostname: TEST_HOST,
+                    port: TEST_PORT,
+                    path: '/api/countdown/stream?retire=2070-01-01',
+                    method: 'GET'
+                });
+                assert.strictEqual(res.statusCode, 429, 'A sixth stream from one IP should be refused');
+            } finally {
+                streams.forEach(stream => stream.close());
+            }
+
+            // Closed streams free their slots
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const stream = await openStream('?retire=2070-01-01');
+            stream.close();
+            assert.strictEqual(stream.res.statusCode, 200);
+        });
+
+        await test('Should reject invalid stream parameters', async () => {
+            const { res, data } = await makeRequest({
+                hostname: TEST_HOST,
+                port: TEST_PORT,
+                path: '/api/countdown/stream?tz=Not%2FAZone',
+                method: 'GET'
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(JSON.parse(data).error, 'Unknown time zone');
+        });
+    });
+}
+
+// Self-signed certificate for localhost, written as <name>-cert.pem and <name>-key.pem
+function generateCertificate(dir, name) {
+    const cert = path.join(dir, `${name}-cert.pem`);
+    const key = path.join(dir, `${name}-key.pem`);
+    execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+        '-subj', `/CN=localhost/O=${name}`, '-addext', 'subjectAltName=DNS:localhost',
+        '-keyout', key, '-out', cert
+    ], { stdio: 'ignore' });
+    return { cert, key };
+}
+
+// Resolves with what a spawned server prints until it has printed the given text
+function waitForOutput(child, text, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${text}"`)), timeoutMs);
+        const onData = (data) => {
+            output += data.toString();
+            if (output.includes(text)) {
+                clearTimeout(timer);
+                child.stdout.off('data', onData);
+                child.stderr.off('data', onData);
+                resolve(output);
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+    });
+}
+
+async function runHttpsTests() {
+    await describe('SERVER TESTS - HTTPS', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'countdown-tls-'));
+        const port = TEST_PORT + 1;
+        const redirectPort = TEST_PORT + 2;
+        const first = generateCertificate(dir, 'first');
+        const second = generateCertificate(dir, 'second');
+        const cert = path.join(dir, 'cert.pem');
+        const key = path.join(dir, 'key.pem');
+        fs.copyFileSync(first.cert, cert);
+        fs.copyFileSync(first.key, key);
+
+        // A fresh connection per request, trusting only the certificate in use
+        const secureRequest = (trusted) => makeRequest({
+            protocol: 'https:',
+            hostname: TEST_HOST,
+            port,
+            path: '/styles.css',
+            method: 'GET',
+            ca: fs.readFileSync(trusted),
+            agent: false
+        });
+        const fingerprintOf = (file) => new crypto.X509Certificate(fs.readFileSync(file)).fingerprint256;
+
+        const { child, output } = await spawnServer(
+            ['--tls-cert', cert, '--tls-key', key, '--redirect-port', String(redirectPort)],
+            { PORT: String(port) }
+        );
+
+        try {
+            await test('Should serve HTTPS with the configured certificate', async () => {
+                assert.strictEqual(Boolean(child), true, `Server should start: ${output}`);
+                const { res } = await secureRequest(first.cert);
+
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(res.socket.getPeerCertificate().fingerprint256, fingerprintOf(first.cert));
+            });
+
+            await test('Should send HSTS over HTTPS only', async () => {
+                const { res: secure } = await secureRequest(first.cert);
+                const { res: plain } = await makeRequest({
+                    hostname: TEST_HOST,
+                    port: TEST_PORT,
+                    path: '/styles.css',
+                    method: 'HEAD'
+                });
+
+                assert.strictEqual(secure.headers['strict-transport-security'], 'max-age=31536000');
+                assert.strictEqual(plain.headers['strict-transport-security'], undefined);
+            });
+
+            await test('Should redirect plain HTTP to the same path over HTTPS', async () => {
+                const { res } = await makeRequest({
+                    hostname: TEST_HOST,
+                    port: redirectPort,
+                    path: '/api/countdown?retire=2030-01-01',
+                    method: 'GET'
+                });
+
+                assert.strictEqual(res.statusCode, 301);
+                assert.strictEqual(res.headers['location'], `https://localhost:${port}/api/countdown?retire=2030-01-01`);
+            });
+
+            await test('Should refuse to redirect to a malformed Host', async () => {
+                const { res } = await makeRequest({
+                    hostname: TEST_HOST,
+                    port: redirectPort,
+                    path: '/',
+                    method: 'GET',
+                    headers: { Host: 'evil.example/path' }
+                });
+
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(res.headers['location'], undefined);
+            });
+
+            await test('Should reload the certificate on SIGHUP', async () => {
+                fs.copyFileSync(second.cert, cert);
+                fs.copyFileSync(second.key, key);
+                const reloaded = waitForOutput(child, 'TLS certificate reloaded');
+                child.kill('SIGHUP');
+                await reloaded;
+
+                const { res } = await secureRequest(second.cert);
+                assert.strictEqual(res.socket.getPeerCertificate().fingerprint256, fingerprintOf(second.cert));
+            });
+
+            await test('Should keep the current certificate when a reload fails', async () => {
+                fs.writeFileSync(key, 'not a key');
+                const failed = waitForOutput(child, 'TLS certificate reload failed');
+                child.kill('SIGHUP');
+                await failed;
+
+                const { res } = await secureRequest(second.cert);
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(res.socket.getPeerCertificate().fingerprint256, fingerprintOf(second.cert));
+            });
+
+            await test('Should require both a certificate and a key', async () => {
+                const { errors } = loadConfig(['--tls-cert', first.cert], {});
+                const { errors: redirectErrors } = loadConfig(['--redirect-port', '8080'], {});
+
+                assert.deepStrictEqual(errors, ['HTTPS needs both tls.cert and tls.key']);
+                assert.deepStrictEqual(redirectErrors, ['tls.redirectPort redirects to HTTPS, so it needs tls.cert and tls.key']);
+            });
+        } finally {
+            if (child) {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill('SIGTERM');
+                });
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+}
+
+async function runAccessLogTests() {
+    await describe('SERVER TESTS - Access Logging', async () => {
+        const entry = (overrides) => ({
+            time: new Date(Date.UTC(2026, 9, 19, 8, 5, 9)),
+            ip: '127.0.0.1',
+            method: 'GET',
+            url: '/styles.css',
+            httpVersion: '1.1',
+            status: 200,
+            bytes: 512,
+            durationMs: 1.25,
+            referrer: undefined,
+            userAgent: 'countdown-tests/1.0',
+            aborted: false,
+            ...overrides
+        });
+
+        await test('Should format JSON lines with status, size, duration, IP and user agent', async () => {
+            const line = JSON.parse(formatAccessLine('json', entry({ status: 404 })));
+
+            assert.deepStrictEqual(line, {
+                time: '2026-10-19T08:05:09.000Z',
+                level: 'warn',
+                ip: '127.0.0.1',
+                method: 'GET',
+                url: '/styles.css',
+                httpVersion: '1.1',
+                status: 404,
+                bytes: 512,
+                durationMs: 1.25,
+                referrer: null,
+                userAgent: 'countdown-tests/1.0'
+            });
+        });
+
+        await test('Should format Combined Log Format lines with escaped quotes', async () => {
+            const line = formatAccessLine('clf', entry({ bytes: 0, userAgent: 'agent "quoted"\nforged' }));
+
+            assert.strictEqual(line, '127.0.0.1 - - [19/Oct/2026:08:05:09 +0000] "GET /styles.css HTTP/1.1" 200 - ' +
+                '"-" "agent \\"quoted\\"\\x0aforged" 1.25');
+        });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'countdown-logs-'));
+        const closeLogger = (logger) => new Promise(resolve => logger.close(resolve));
+        const readLines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        const consoleOutput = { info() {}, warn() {}, error() {} };
+
+        try {
+            await test('Should rotate the log file by size and keep maxFiles copies', async () => {
+                const file = path.join(dir, 'size.log');
+                const lineLength = formatAccessLine('json', entry()).length + 1;
+                const logger = createAccessLogger({
+                    format: 'json', level: 'info', output: consoleOutput,
+                    file, maxBytes: lineLength * 2, rotate: 'none', maxFiles: 2
+                });
+                for (let i = 0; i < 7; i++) logger.write(entry({ url: `/${i}` }));
+                await closeLogger(logger);
+
+                assert.deepStrictEqual(readLines(file).map(line => JSON.parse(line).url), ['/6']);
+                assert.deepStrictEqual(readLines(`${file}.1`).map(line => JSON.parse(line).url), ['/4', '/5']);
+                assert.deepStrictEqual(readLines(`${file}.2`).map(line => JSON.parse(line).url), ['/2', '/3']);
+                assert.strictEqual(fs.existsSync(`${file}.3`), false, 'Older copies should be dropped');
+            });
+
+            await test('Should rotate the log file when the day changes', async () => {
+                const file = path.join(dir, 'daily.log');
+                const logger = createAccessLogger({
+                    format: 'clf', level: 'info', output: consoleOutput,
+                    file, maxBytes: 0, rotate: 'daily', maxFiles: 3
+                });
+                const today = new Date();
+                const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+                logger.write(entry({ time: today, url: '/today' }));
+                logger.write(entry({ time: today, url: '/again' }));
+                logger.write(entry({ time: tomorrow, url: '/tomorrow' }));
+                await closeLogger(logger);
+
+                assert.strictEqual(readLines(`${file}.1`).length, 2);
+                assert.deepStrictEqual(readLines(file).map(line => line.includes('/tomorrow')), [true]);
+            });
+
+            await test('Should leave out lines below the log level', async () => {
+                const file = path.join(dir, 'level.log');
+                const logger = createAccessLogger({
+                    format: 'json', level: 'warn', output: consoleOutput,
+                    file, maxBytes: 0, rotate: 'none', maxFiles: 1
+                });
+                logger.write(entry({ status: 200 }));
+                logger.write(entry({ status: 404 }));
+                logger.write(entry({ status: 500 }));
+                await closeLogger(logger);
+
+                assert.deepStrictEqual(readLines(file).map(line => JSON.parse(line).level), ['warn', 'error']);
+            });
+
+            await test('Should fall back to the console when the file cannot be reopened after rotation', async () => {
+                const logDir = path.join(dir, 'gone');
+                fs.mkdirSync(logDir);
+                const logged = [];
+                const recordingOutput = {
+                    info: (line) => logged.push(['info', line]),
+                    warn: (line) => logged.push(['warn', line]),
+                    error: (line) => logged.push(['error', line])
+                };
+                const logger = createAccessLogger({
+                    format: 'clf', level: 'info', output: recordingOutput,
+                    file: path.join(logDir, 'access.log'), maxBytes: 0, rotate: 'daily', maxFiles: 2
+                });
+                const today = new Date();
+                logger.write(entry({ time: today, url: '/today' }));
+                // The file is opened asynchronously; remove it once the first line is in
+                await new Promise(resolve => setTimeout(resolve, 200));
+                fs.rmSync(logDir, { recursive: true, force: true });
+                logger.write(entry({ time: new Date(today.getTime() + 24 * 60 * 60 * 1000), url: '/tomorrow' }));
+                await closeLogger(logger);
+
+                const fallback = logged.filter(([level]) => level === 'info');
+                assert.strictEqual(fallback.length, 1, 'The line should still be logged');
+                assert.ok(fallback[0][1].includes('/tomorrow'));
+                assert.ok(logged.some(([level, line]) => level === 'error' && line.includes('could not be opened')));
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        await test('Should log each request once its response has finished', async () => {
+            const port = TEST_PORT + 1;
+            const { child, output } = await spawnServer(['--access-log-format', 'json'], { PORT: String(port) });
+            assert.strictEqual(Boolean(child), true, `Server should start: ${output}`);
+
+            try {
+                const logged = waitForOutput(child, '/missing.css');
+                const { res } = await makeRequest({
+                    hostname: TEST_HOST,
+                    port,
+                    path: '/styles.css',
+                    method: 'GET',
+                    headers: { 'User-Agent': 'countdown-tests/1.0' }
+                });
+                await makeRequest({ hostname: TEST_HOST, port, path: '/missing.css', method: 'GET' });
+                const lines = (await logged).split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+
+                assert.strictEqual(lines.length, 2);
+                assert.strictEqual(lines[0].url, '/styles.css');
+                assert.strictEqual(lines[0].status, 200);
+                assert.strictEqual(lines[0].bytes, Number(res.headers['content-length']));
+                assert.strictEqual(lines[0].userAgent, 'countdown-tests/1.0');
+                assert.ok(/^(::ffff:)?127\.0\.0\.1$|^::1$/.test(lines[0].ip), `Unexpected IP ${lines[0].ip}`);
+                assert.strictEqual(typeof lines[0].durationMs, 'number');
+                assert.strictEqual(lines[1].status, 404);
+                assert.strictEqual(lines[1].level, 'warn');
+            } finally {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill('SIGTERM');
+                });
+            }
+        });
+    });
+}
+
+// Runs last: it shuts the test server down
+async function runShutdownTests() {
+    await describe('SERVER TESTS - Graceful Shutdown', async () => {
+        await test('Should end open streams and exit on SIGTERM', async () => {
+            const stream = await openStream('?retire=2070-01-01');
+            const exited = new Promise(resolve => serverProcess.once('exit', (code, signal) => resolve({ code, signal })));
+
+            serverProcess.kill('SIGTERM');
+            await stream.waitFor(e => e.event === 'shutdown', 2000);
+            const { code, signal } = await exited;
+            serverProcess = null;
+
+            assert.strictEqual(stream.ended, true, 'Stream should be ended by the server');
+            assert.strictEqual(code, 0, 'Server should exit cleanly rather than be killed');
+            assert.strictEqual(signal, null);
+        });
+    });
+}
+
 async function runAllTests() {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`${colors.blue}Server Integration Test Suite${colors.reset}`);
@@ -649,9 +1855,19 @@ async function runAllTests() {
         await runContentTypeTests();
         await runCacheHeaderTests();
         await runCompressionTests();
+        await runConditionalRequestTests();
+        await runAssetCacheTests();
         await runErrorHandlingTests();
         await runRateLimitingTests();
         await runRootPathTests();
+        await runSharedPageTests();
+        await runCalendarFeedTests();
+        await runCountdownApiTests();
+        await runConfigurationTests();
+        await runHttpsTests();
+        await runAccessLogTests();
+        await runCountdownStreamTests();
+        await runShutdownTests();
 
     } catch (error) {
         console.error(`${colors.red}✗ Failed to start server: ${error.message}${colors.reset}`);
@@ -461,14 +461,44 @@ describe('CORE TESTS - Countdown Calculations', () => {
         assert.strictEqual(weeks, 2, 'Should calculate 2 weeks');
     });
 
-    test('Should calculate months correctly (using 30.44 days average)', () => {
+    test('Should calculate months by walking calendar month boundaries', () => {
+        const addCalendarMonths = (wallTime, months) => {
+            const d = new Date(wallTime);
+            const lastDayOfMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months + 1, 0)).getUTCDate();
+            return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, Math.min(d.getUTCDate(), lastDayOfMonth));
+        };
+        const start = Date.UTC(2026, 0, 31);
+        const end = Date.UTC(2026, 2, 30); // 58 days later, under two average months
+
+        let months = 2;
+        while (months > 0 && addCalendarMonths(start, months) > end) months--;
+
+        assert.strictEqual(months, 1, 'Jan 31 to Mar 30 is 1 month (Mar 31 not reached)');
+        assert.strictEqual(new Date(addCalendarMonths(start, 1)).getUTCDate(), 28,
+            'Jan 31 plus one month should clamp to Feb 28');
+    });
+
+    test('Should count days across a DST change using wall-clock time', () => {
+        const toWallTime = (date, timeZone) => {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(date).forEach(part => {
+                if (part.type !== 'literal') parts[part.type] = Number(part.value);
+            });
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        };
+        // Noon Mar 7 to noon Mar 9 2026 in New York spans the spring-forward change
+        const now = new Date('2026-03-07T17:00:00.000Z');
+        const target = new Date('2026-03-09T16:00:00.000Z');
         const msPerDay = 1000 * 60 * 60 * 24;
-        const diff = msPerDay * 61; // ~2 months
 
-        const days = Math.floor(diff / msPerDay);
-        const months = Math.floor(days / 30.44);
+        const naiveDays = (target - now) / msPerDay;
+        const wallDays = (toWallTime(target, 'America/New_York') - toWallTime(now, 'America/New_York')) / msPerDay;
 
-        assert.strictEqual(months, 2, 'Should calculate 2 months');
+        assert.strictEqual(naiveDays < 2, true, 'Millisecond division loses an hour');
+        assert.strictEqual(wallDays, 2, 'Wall-clock difference should be exactly 2 days');
     });
 
     test('Should handle zero or negative difference (retirement reached)', () => {
@@ -547,6 +577,366 @@ describe('CORE TESTS - Fun Metrics Calculations', () => {
     });
 });
 
+describe('CORE TESTS - Holiday and PTO Calendar', () => {
+    // Shared with server.js, so tested directly
+    const { getRuleSetHolidays, collectDaysOff, countScheduledWork } = require('./countdown-core');
+
+    const holidayDate = (year, name) => getRuleSetHolidays('us-federal', year).find(h => h.name === name).date;
+    const standard = { weeks: [[0, 8, 8, 8, 8, 8, 0]], anchor: '2024-01-07' };
+
+    test('Should compute Thanksgiving as the 4th Thursday of November', () => {
+        const thanksgiving = holidayDate(2025, 'Thanksgiving Day');
+
+        assert.strictEqual(thanksgiving.getDate(), 27, 'Thanksgiving 2025 is Nov 27');
+        assert.strictEqual(thanksgiving.getDay(), 4, 'Should be a Thursday');
+    });
+
+    test('Should compute Memorial Day as the last Monday of May', () => {
+        const memorialDay = holidayDate(2026, 'Memorial Day');
+
+        assert.strictEqual(memorialDay.getDate(), 25, 'Memorial Day 2026 is May 25');
+    });
+
+    test('Should observe Saturday holidays on Friday and Sunday holidays on Monday', () => {
+        const july4th2026 = holidayDate(2026, 'Independence Day'); // Saturday
+        const july4th2027 = holidayDate(2027, 'Independence Day'); // Sunday
+
+        assert.strictEqual(july4th2026.getDate(), 3, 'Saturday holiday observed Friday');
+        assert.strictEqual(july4th2027.getDate(), 5, 'Sunday holiday observed Monday');
+    });
+
+    test('Should only subtract days off that fall on work days', () => {
+        // Monday 2026-01-05 through Sunday 2026-01-18: 10 work days
+        const daysOff = new Map([['2026-01-05', 'Holiday'], ['2026-01-09', 'PTO'], ['2026-01-10', 'PTO']]);
+        const counts = countScheduledWork(new Date('2026-01-05T00:00:00'), 14, standard, daysOff);
+
+        assert.strictEqual(counts.workDays, 8, 'Saturday day off should not reduce work days');
+        assert.strictEqual(counts.workHours, 64, 'Each work day off should remove its hours');
+        assert.strictEqual(counts.daysOffOnWorkDays, 2);
+        assert.strictEqual(counts.mondays, 1, 'Monday holiday should reduce Mondays');
+        assert.strictEqual(counts.fridays, 1, 'Friday PTO should reduce Fridays');
+    });
+
+    test('Should collect rule set holidays and custom PTO within the range only', () => {
+        const daysOff = collectDaysOff(new Date('2026-11-01T00:00:00'), new Date('2027-01-01T00:00:00'), {
+            ruleSet: 'us-federal',
+            custom: [{ start: '2026-12-30', end: '2027-01-04', label: 'Winter break' }]
+        });
+
+        assert.strictEqual(daysOff.get('2026-11-26'), 'Thanksgiving Day');
+        assert.strictEqual(daysOff.get('2026-12-25'), 'Christmas Day');
+        assert.strictEqual(daysOff.get('2026-12-31'), 'Winter break');
+        assert.strictEqual(daysOff.has('2027-01-01'), false, 'The end date is exclusive');
+    });
+
+    test('Should unfold ICS lines and treat all-day DTEND as exclusive', () => {
+        const ics = 'BEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20271227\r\nDTEND;VALUE=DATE:20271231\r\nSUMMARY:Winter\r\n  break\r\nEND:VEVENT';
+        const lines = ics.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+        const summary = lines.find(line => line.startsWith('SUMMARY:')).slice(8);
+        const dtend = lines.find(line => line.startsWith('DTEND')).split(':')[1];
+        const lastDay = new Date(`${dtend.slice(0, 4)}-${dtend.slice(4, 6)}-${dtend.slice(6, 8)}T00:00:00`);
+        lastDay.setDate(lastDay.getDate() - 1);
+
+        assert.strictEqual(summary, 'Winter break', 'Folded lines should be joined');
+        assert.strictEqual(lastDay.getDate(), 30, 'Last day off should be the day before DTEND');
+    });
+
+    test('Should file UTC ICS times under the local date', () => {
+        const { toDateKey } = require('./countdown-core');
+        // ICS value conversion from script.js
+        const icsValueToDateKey = (value) => {
+            const utc = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/i.exec(value);
+            if (utc) {
+                const [, year, month, day, hour, minute, second] = utc.map(Number);
+                return toDateKey(new Date(Date.UTC(year, month - 1, day, hour, minute, second)));
+            }
+            const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+            return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+        };
+
+        const viewerTimeZone = process.env.TZ;
+        process.env.TZ = 'America/Los_Angeles';
+        try {
+            assert.strictEqual(icsValueToDateKey('20271227T030000Z'), '2027-12-26', '03:00 UTC is still the evening before in Los Angeles');
+            assert.strictEqual(icsValueToDateKey('20271227T030000'), '2027-12-27', 'Floating times keep their date');
+            assert.strictEqual(icsValueToDateKey('20271227'), '2027-12-27', 'All-day dates keep their date');
+        } finally {
+            if (viewerTimeZone === undefined) delete process.env.TZ;
+            else process.env.TZ = viewerTimeZone;
+        }
+    });
+});
+
+describe('CORE TESTS - Work Schedule Model', () => {
+    // Shared with server.js, so tested directly
+    const { getScheduledHours, countScheduledWork } = require('./countdown-core');
+    const noDaysOff = new Map();
+
+    const standard = { weeks: [[0, 8, 8, 8, 8, 8, 0]], anchor: '2024-01-07' };
+    const fourTens = { weeks: [[0, 10, 10, 10, 10, 0, 0]], anchor: '2024-01-07' };
+    const nineEighty = { weeks: [[0, 9, 9, 9, 9, 8, 0], [0, 9, 9, 9, 9, 0, 0]], anchor: '2024-01-07' };
+    const monday = new Date('2026-01-05T00:00:00');
+
+    test('Should match the Monday-Friday math for the standard schedule', () => {
+        const counts = countScheduledWork(monday, 14, standard, noDaysOff);
+
+        assert.strictEqual(counts.workDays, 10, 'Should count 10 work days in 2 weeks');
+        assert.strictEqual(counts.workHours, 80, 'Should count 80 hours in 2 weeks');
+        assert.strictEqual(counts.weekends, 2, 'Should count 2 weekends in 2 weeks');
+    });
+
+    test('Should count 4x10 weeks with Fridays off', () => {
+        const counts = countScheduledWork(monday, 14, fourTens, noDaysOff);
+
+        assert.strictEqual(counts.workDays, 8, 'Should count 8 work days in 2 weeks');
+        assert.strictEqual(counts.workHours, 80, 'Should still count 80 hours');
+        assert.strictEqual(counts.fridays, 0, 'No working Fridays on a 4x10');
+        assert.strictEqual(counts.weekends, 2, 'Fri-Sun is one weekend per week');
+    });
+
+    test('Should alternate Fridays off on a 9/80 schedule', () => {
+        const counts = countScheduledWork(monday, 14, nineEighty, noDaysOff);
+
+        assert.strictEqual(counts.workDays, 9, 'Should count 9 work days per 2-week cycle');
+        assert.strictEqual(counts.workHours, 80, 'Should count 80 hours per cycle');
+        assert.strictEqual(counts.fridays, 1, 'Only one working Friday per cycle');
+    });
+
+    test('Should weight a single cycle pass correctly over long ranges', () => {
+        const totalDays = 1000;
+        const counts = countScheduledWork(monday, totalDays, nineEighty, noDaysOff);
+
+        // Brute-force cross-check one day at a time
+        let workDays = 0;
+        const date = new Date(monday);
+        for (let i = 0; i < totalDays; i++) {
+            if (getScheduledHours(date, nineEighty) > 0) workDays++;
+            date.setDate(date.getDate() + 1);
+        }
+
+        assert.strictEqual(counts.workDays, workDays, 'Cycle math should match a day-by-day count');
+    });
+});
+
+describe('CORE TESTS - Pay Schedule', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+    const toKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+    // Roll-back rule from script.js
+    const rollBackPayday = (date, holidayKeys) => {
+        const payday = new Date(date);
+        while (payday.getDay() === 0 || payday.getDay() === 6 || holidayKeys.has(toKey(payday))) {
+            payday.setDate(payday.getDate() - 1);
+        }
+        return payday;
+    };
+
+    // Payday generation from script.js
+    const { parseDateKey } = require('./countdown-core');
+    const getNominalPaydays = (schedule, start, end) => {
+        const paydays = [];
+
+        if (schedule.frequency === 'weekly' || schedule.frequency === 'biweekly') {
+            const step = schedule.frequency === 'weekly' ? 7 : 14;
+            const anchor = parseDateKey(schedule.anchor);
+            const periodsToStart = Math.ceil(Math.round((start - anchor) / MS_PER_DAY) / step);
+            const payday = new Date(anchor);
+            payday.setDate(payday.getDate() + periodsToStart * step);
+            while (payday <= end) {
+                paydays.push(new Date(payday));
+                payday.setDate(payday.getDate() + step);
+            }
+            return paydays;
+        }
+
+        for (let year = start.getFullYear(), month = start.getMonth();
+            new Date(year, month, 1) <= end; month++) {
+            const lastDay = new Date(year, month + 1, 0).getDate();
+            const days = schedule.frequency === 'semimonthly'
+                ? [15, lastDay]
+                : [Math.min(schedule.dayOfMonth, lastDay)];
+            days.forEach(day => {
+                const payday = new Date(year, month, day);
+                if (payday >= start && payday <= end) paydays.push(payday);
+            });
+        }
+        return paydays;
+    };
+
+    test('Should roll a Sunday payday back to Friday', () => {
+        const payday = rollBackPayday(new Date(2026, 10, 15), new Set()); // Sunday Nov 15
+
+        assert.strictEqual(toKey(payday), '2026-11-13', 'Should be paid the Friday before');
+    });
+
+    test('Should roll a holiday payday back past the weekend', () => {
+        // Monday Sep 7 2026 is Labor Day
+        const payday = rollBackPayday(new Date(2026, 8, 7), new Set(['2026-09-07']));
+
+        assert.strictEqual(toKey(payday), '2026-09-04', 'Should be paid the Friday before the holiday');
+    });
+
+    test('Should clamp monthly paydays to the end of short months', () => {
+        const monthly = { frequency: 'monthly', dayOfMonth: 31 };
+
+        assert.deepStrictEqual(getNominalPaydays(monthly, new Date(2027, 0, 1), new Date(2027, 3, 30)).map(toKey),
+            ['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30'], 'Day 31 should mean the last day of short months');
+        assert.deepStrictEqual(getNominalPaydays(monthly, new Date(2028, 1, 1), new Date(2028, 1, 29)).map(toKey),
+            ['2028-02-29'], 'Leap-year February should pay on the 29th');
+        assert.deepStrictEqual(getNominalPaydays({ frequency: 'monthly', dayOfMonth: 15 }, new Date(2027, 0, 20), new Date(2027, 2, 10)).map(toKey),
+            ['2027-02-15'], 'Paydays outside the range should be left out');
+    });
+
+    test('Should pay semimonthly on the 15th and the last day of each month', () => {
+        const semimonthly = { frequency: 'semimonthly' };
+
+        assert.deepStrictEqual(getNominalPaydays(semimonthly, new Date(2027, 1, 1), new Date(2027, 2, 31)).map(toKey),
+            ['2027-02-15', '2027-02-28', '2027-03-15', '2027-03-31']);
+        assert.deepStrictEqual(getNominalPaydays(semimonthly, new Date(2028, 1, 16), new Date(2028, 1, 29)).map(toKey),
+            ['2028-02-29'], 'Leap-year February should end on the 29th');
+    });
+
+    test('Should step biweekly paydays from the anchor payday', () => {
+        const biweekly = { frequency: 'biweekly', anchor: '2024-01-05' };
+
+        assert.deepStrictEqual(getNominalPaydays(biweekly, new Date(2024, 0, 10), new Date(2024, 1, 10)).map(toKey),
+            ['2024-01-19', '2024-02-02'], 'Next payday should be two weeks after the anchor');
+    });
+});
+
+describe('CORE TESTS - Savings Projection', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+    // Projection logic from script.js
+    const projectSavings = (finances, paydays, start, end) => {
+        const growth = days => Math.pow(1 + finances.annualReturn / 100, days / 365.25);
+        const perPaycheck = finances.contribution * (1 + finances.matchPercent / 100);
+        let balance = finances.balance;
+        let contributed = 0;
+        let last = start;
+        paydays.forEach(payday => {
+            if (payday <= start || payday > end) return;
+            balance = balance * growth((payday - last) / MS_PER_DAY) + perPaycheck;
+            contributed += perPaycheck;
+            last = payday;
+        });
+        balance *= growth((end - last) / MS_PER_DAY);
+        return { finalBalance: balance, contributed };
+    };
+
+    const start = new Date(2026, 0, 1);
+    const end = new Date(2027, 0, 1);
+    const paydays = [new Date(2026, 3, 1), new Date(2026, 6, 1), new Date(2026, 9, 1)];
+
+    test('Should add contributions and employer match with zero return', () => {
+        const finances = { balance: 1000, contribution: 100, matchPercent: 50, annualReturn: 0 };
+
+        const result = projectSavings(finances, paydays, start, end);
+
+        assert.strictEqual(result.contributed, 450, 'Three paychecks of $100 plus 50% match');
+        assert.strictEqual(result.finalBalance, 1450, 'Balance should be starting balance plus contributions');
+    });
+
+    test('Should compound the balance at the annual return', () => {
+        const finances = { balance: 1000, contribution: 0, matchPercent: 0, annualReturn: 10 };
+
+        const result = projectSavings(finances, [], start, end);
+
+        // 365 of 365.25 days is just under a full year of growth
+        assert.strictEqual(Math.abs(result.finalBalance - 1100) < 1, true,
+            `Should grow ~10% in a year (got ${result.finalBalance.toFixed(2)})`);
+    });
+
+    test('Should ignore paydays outside the projection window', () => {
+        const finances = { balance: 0, contribution: 100, matchPercent: 0, annualReturn: 0 };
+        const outside = [new Date(2025, 11, 15), new Date(2027, 1, 1)];
+
+        const result = projectSavings(finances, outside, start, end);
+
+        assert.strictEqual(result.contributed, 0, 'Paydays outside the window should not count');
+    });
+});
+
+describe('CORE TESTS - Retirement Date Calculator', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+    const toKey = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+    // Calculator logic from script.js (month arithmetic clamps to the last day of the month)
+    const addCalendarMonths = (wallTime, months) => {
+        const d = new Date(wallTime);
+        const year = d.getUTCFullYear();
+        const month = d.getUTCMonth() + months;
+        const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return Date.UTC(year, month, Math.min(d.getUTCDate(), lastDayOfMonth),
+            d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+    };
+
+    const addYearsAndMonths = (date, years, months) => {
+        const wallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const result = new Date(addCalendarMonths(wallTime, years * 12 + months));
+        return new Date(result.getUTCFullYear(), result.getUTCMonth(), result.getUTCDate());
+    };
+
+    const findRuleOfNDate = (birthDate, startDate, total, minimumAge) => {
+        const midpoint = (birthDate.getTime() + startDate.getTime()) / 2;
+        const crossing = new Date(midpoint + (total / 2) * 365.25 * MS_PER_DAY);
+        let result = new Date(crossing.getFullYear(), crossing.getMonth(), crossing.getDate());
+        if (result < crossing) result.setDate(result.getDate() + 1);
+        if (minimumAge > 0) {
+            const minimumAgeDate = addYearsAndMonths(birthDate, minimumAge, 0);
+            if (minimumAgeDate > result) result = minimumAgeDate;
+        }
+        return result;
+    };
+
+    test('Should add a target age in years and months to the birth date', () => {
+        const result = addYearsAndMonths(new Date(1965, 3, 15), 62, 6);
+
+        assert.strictEqual(toKey(result), '2027-10-15', 'Age 62 and 6 months should land on Oct 15, 2027');
+    });
+
+    test('Should clamp to the end of a shorter month', () => {
+        const result = addYearsAndMonths(new Date(1966, 7, 31), 62, 6);
+
+        assert.strictEqual(toKey(result), '2029-02-28', 'Aug 31 plus 6 months should clamp to Feb 28');
+        assert.strictEqual(toKey(addYearsAndMonths(new Date(2027, 0, 31), 0, 1)), '2027-02-28', 'Jan 31 plus 1 month');
+        assert.strictEqual(toKey(addYearsAndMonths(new Date(2027, 2, 31), 0, 1)), '2027-04-30', 'Mar 31 plus 1 month');
+        assert.strictEqual(toKey(addYearsAndMonths(new Date(2027, 11, 31), 0, 2)), '2028-02-29',
+            'Dec 31 plus 2 months should roll into a leap February');
+    });
+
+    test('Should keep leap-day birthdays on Feb 29 in leap years and Feb 28 otherwise', () => {
+        const birth = new Date(1964, 1, 29);
+
+        assert.strictEqual(toKey(addYearsAndMonths(birth, 62, 0)), '2026-02-28', 'Age 62 falls in a common year');
+        assert.strictEqual(toKey(addYearsAndMonths(birth, 64, 0)), '2028-02-29', 'Age 64 falls in a leap year');
+        assert.strictEqual(toKey(addYearsAndMonths(birth, 61, 12)), '2026-02-28', '12 months count as a year');
+    });
+
+    test('Should find the day age plus service reaches the rule total', () => {
+        const birth = new Date(1970, 0, 1);
+        const start = new Date(1995, 0, 1);
+
+        const result = findRuleOfNDate(birth, start, 85, 0);
+        const ageYears = (result - birth) / (365.25 * MS_PER_DAY);
+        const serviceYears = (result - start) / (365.25 * MS_PER_DAY);
+
+        assert.strictEqual(ageYears + serviceYears >= 85, true, 'Total should reach 85 on the result date');
+        assert.strictEqual(ageYears + serviceYears - 2 / 365.25 < 85, true, 'The day before should fall short');
+        assert.strictEqual(result.getFullYear(), 2025, 'Age ~55 + service ~30 should be in 2025');
+    });
+
+    test('Should respect a minimum age for the rule', () => {
+        const birth = new Date(1980, 4, 10);
+        const start = new Date(1998, 4, 10);
+
+        const result = findRuleOfNDate(birth, start, 80, 60);
+
+        assert.strictEqual(toKey(result), '2040-05-10', 'Minimum age 60 should win over the earlier rule date');
+    });
+});
+
 describe('CORE TESTS - Progress Percentage Calculation', () => {
     test('Should calculate progress percentage correctly', () => {
         const EMPLOYMENT_START = new Date('2018-10-01T00:00:00');
@@ -602,6 +992,634 @@ describe('CORE TESTS - Progress Percentage Calculation', () => {
     });
 });
 
+describe('CORE TESTS - Employment Start Date', () => {
+    test('Should parse date-only input as local midnight', () => {
+        const startDate = new Date('2020-03-15' + 'T00:00:00');
+
+        assert.strictEqual(startDate.getDate(), 15, 'Day should not shift across time zones');
+        assert.strictEqual(startDate.getHours(), 0, 'Should be local midnight');
+    });
+
+    test('Should reject start dates in the future', () => {
+        const now = new Date();
+        const futureStart = new Date(now.getTime() + 1000 * 60 * 60 * 24);
+
+        const isValid = futureStart <= now;
+
+        assert.strictEqual(isValid, false, 'Future start dates should be rejected');
+    });
+
+    test('Should reject start dates on or after the retirement date', () => {
+        const retirement = new Date('2026-02-27T16:00:00');
+        const startDate = new Date('2026-02-27T16:00:00');
+
+        const isValid = startDate < retirement;
+
+        assert.strictEqual(isValid, false, 'Start date must precede retirement date');
+    });
+
+    test('Should measure progress from the configured start date', () => {
+        const calculateProgress = (now, retirement, start) => {
+            const totalTime = retirement - start;
+            const elapsed = now - start;
+            return Math.max(0, Math.min(100, (elapsed / totalTime) * 100));
+        };
+        const retirement = new Date('2030-01-01T00:00:00');
+        const now = new Date('2025-01-01T00:00:00');
+
+        const fromDefault = calculateProgress(now, retirement, new Date('2018-10-01T00:00:00'));
+        const fromLaterStart = calculateProgress(now, retirement, new Date('2024-01-01T00:00:00'));
+
+        assert.strictEqual(fromLaterStart < fromDefault, true,
+            'A later start date should show less progress');
+    });
+});
+
+describe('CORE TESTS - Named Countdowns', () => {
+    const MAX_COUNTDOWN_NAME_LENGTH = 40;
+
+    // Validation logic from script.js
+    const sanitizeCountdownName = (name) => {
+        if (typeof name !== 'string') return null;
+        const trimmed = name.trim();
+        if (!trimmed || trimmed.length > MAX_COUNTDOWN_NAME_LENGTH) return null;
+        return trimmed;
+    };
+
+    const parseSavedCountdowns = (json) => {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+        if (!data || !Array.isArray(data.countdowns)) return null;
+
+        const parsed = [];
+        data.countdowns.forEach(entry => {
+            if (!entry || typeof entry.id !== 'string') return;
+            const name = sanitizeCountdownName(entry.name);
+            const retirement = new Date(entry.retirementDate);
+            const start = new Date(entry.startDate);
+            if (!name || isNaN(retirement.getTime()) || isNaN(start.getTime()) || start >= retirement) return;
+            parsed.push({ id: entry.id, name, retirementDate: retirement, startDate: start });
+        });
+
+        if (parsed.length === 0) return null;
+        return { activeId: data.activeId, countdowns: parsed };
+    };
+
+    test('Should reject blank and overly long countdown names', () => {
+        assert.strictEqual(sanitizeCountdownName('   '), null, 'Blank names should be rejected');
+        assert.strictEqual(sanitizeCountdownName('x'.repeat(41)), null, 'Long names should be rejected');
+        assert.strictEqual(sanitizeCountdownName('  Sabbatical '), 'Sabbatical', 'Names should be trimmed');
+    });
+
+    test('Should drop invalid countdown entries from storage', () => {
+        const json = JSON.stringify({
+            activeId: 'a',
+            countdowns: [
+                { id: 'a', name: 'Mine', retirementDate: '2030-01-01T00:00:00.000Z', startDate: '2018-10-01T00:00:00.000Z' },
+                { id: 'b', name: 'Broken', retirementDate: 'not-a-date', startDate: '2018-10-01T00:00:00.000Z' },
+                { id: 'c', name: 'Backwards', retirementDate: '2018-01-01T00:00:00.000Z', startDate: '2020-01-01T00:00:00.000Z' }
+            ]
+        });
+
+        const parsed = parseSavedCountdowns(json);
+
+        assert.strictEqual(parsed.countdowns.length, 1, 'Only the valid countdown should remain');
+        assert.strictEqual(parsed.countdowns[0].name, 'Mine');
+    });
+
+    test('Should treat corrupt countdown storage as missing', () => {
+        assert.strictEqual(parseSavedCountdowns('{not json'), null, 'Corrupt JSON should be rejected');
+        assert.strictEqual(parseSavedCountdowns('{"countdowns": "nope"}'), null, 'Non-array list should be rejected');
+    });
+
+    test('Should migrate legacy single-date keys into the first countdown', () => {
+        const mockLS = new MockLocalStorage();
+        mockLS.setItem('retirementDate', '2030-02-27T22:00:00.000Z');
+
+        const legacy = new Date(mockLS.getItem('retirementDate'));
+        const migrated = { id: 'x', name: 'My Retirement', retirementDate: legacy, startDate: new Date('2018-10-01T00:00:00') };
+        mockLS.setItem('countdowns', JSON.stringify({ activeId: 'x', countdowns: [migrated] }));
+        mockLS.removeItem('retirementDate');
+
+        const parsed = parseSavedCountdowns(mockLS.getItem('countdowns'));
+        assert.strictEqual(parsed.countdowns[0].retirementDate.toISOString(), '2030-02-27T22:00:00.000Z');
+        assert.strictEqual(mockLS.getItem('retirementDate'), null, 'Legacy key should be removed');
+    });
+
+    test('Should keep countdown names as plain text (XSS safe)', () => {
+        const mockDOM = new MockDOM();
+        const option = mockDOM.createElement('option');
+        option.textContent = sanitizeCountdownName('<img src=x onerror=alert(1)>');
+
+        assert.strictEqual(option.textContent, '<img src=x onerror=alert(1)>',
+            'Countdown names should be rendered with textContent');
+    });
+});
+
+describe('CORE TESTS - Time Zone Aware Retirement Date', () => {
+    // Shared with the page and server.js, so tested directly
+    const {
+        getZonedParts,
+        zonedTimeToDate,
+        isValidTimeZone,
+        parseZonedInput,
+        isValidDateKey,
+        parseCountdownQuery
+    } = require('./countdown-core');
+
+    test('Should convert winter wall time in New York to the right instant', () => {
+        const instant = zonedTimeToDate(2030, 2, 27, 16, 0, 'America/New_York');
+
+        assert.strictEqual(instant.toISOString(), '2030-02-27T21:00:00.000Z', 'EST is UTC-5');
+    });
+
+    test('Should convert summer wall time in New York using daylight time', () => {
+        const instant = zonedTimeToDate(2030, 7, 1, 16, 0, 'America/New_York');
+
+        assert.strictEqual(instant.toISOString(), '2030-07-01T20:00:00.000Z', 'EDT is UTC-4');
+    });
+
+    test('Should give the same instant regardless of the viewer zone', () => {
+        const tokyo = zonedTimeToDate(2030, 2, 27, 16, 0, 'Asia/Tokyo');
+        const parts = getZonedParts(tokyo, 'Asia/Tokyo');
+
+        assert.strictEqual(tokyo.toISOString(), '2030-02-27T07:00:00.000Z', 'JST is UTC+9');
+        assert.strictEqual(parts.hour, 16, 'Round trip should restore the wall-clock hour');
+    });
+
+    test('Should reject out-of-range input fields instead of rolling them over', () => {
+        ['2030-02-31T10:00', '2026-13-45T25:99', '2027-02-29', '2030-01-01T24:00', '0050-01-01T00:00'].forEach(value => {
+            assert.strictEqual(isNaN(parseZonedInput(value, 'UTC').getTime()), true, `${value} should be invalid`);
+        });
+
+        assert.strictEqual(parseZonedInput('2028-02-29T23:59:59', 'UTC').toISOString(), '2028-02-29T23:59:59.000Z');
+        assert.strictEqual(isValidDateKey('2026-02-31'), false, 'Impossible date keys should be invalid');
+        assert.strictEqual(isValidDateKey('2026-02-28'), true);
+    });
+
+    test('Should limit query retirement dates to 50 years ahead', () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+
+        assert.strictEqual(parseCountdownQuery('retire=2076-10-19T00:00&tz=UTC', 'UTC', now).error, undefined);
+        assert.strictEqual(parseCountdownQuery('retire=2076-10-20T00:00&tz=UTC', 'UTC', now).error,
+            'Retirement date cannot be more than 50 years in the future');
+    });
+
+    test('Should reject unknown time zones', () => {
+        assert.strictEqual(isValidTimeZone('America/New_York'), true);
+        assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false, 'Unknown zone should be rejected');
+    });
+});
+
+describe('CORE TESTS - Settings Export and Import', () => {
+    const SETTINGS_APP_ID = 'retirement-countdown';
+    const SETTINGS_VERSION = 1;
+
+    // Migration logic from script.js
+    const SETTINGS_MIGRATIONS = {};
+
+    const migrateSettingsDocument = (doc) => {
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { error: 'Import failed: not a settings file' };
+        let version = doc.version;
+        if (!Number.isInteger(version) || version < 1) return { error: 'Import failed: missing or invalid settings version' };
+        if (version > SETTINGS_VERSION) {
+            return { error: `Import failed: settings version ${version} is newer than this page supports` };
+        }
+        if (doc.app !== SETTINGS_APP_ID) return { error: 'Import failed: not a settings file' };
+        while (version < SETTINGS_VERSION) {
+            doc = SETTINGS_MIGRATIONS[version](doc);
+            version = doc.version;
+        }
+        return { doc };
+    };
+
+    test('Should pass current documents through unchanged', () => {
+        const doc = { app: SETTINGS_APP_ID, version: 1, countdowns: { activeId: 'a', countdowns: [] } };
+
+        assert.strictEqual(migrateSettingsDocument(doc).doc, doc, 'Current version needs no migration');
+    });
+
+    test('Should reject unversioned documents', () => {
+        const unversioned = { retirementDate: '2030-02-27T21:00:00.000Z' };
+
+        assert.strictEqual(migrateSettingsDocument(unversioned).error, 'Import failed: missing or invalid settings version');
+        assert.strictEqual(migrateSettingsDocument({ app: SETTINGS_APP_ID, version: 0 }).error,
+            'Import failed: missing or invalid settings version');
+    });
+
+    // Notification section validation from script.js
+    const sanitizeNotificationSettings = (settings) => {
+        if (!settings || typeof settings.enabled !== 'boolean') return null;
+        if (!['milestones', 'dailyDigest', 'lastDay'].every(key => typeof settings[key] === 'boolean')) return null;
+        if (typeof settings.digestTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.digestTime)) return null;
+        const enabledAt = settings.enabledAt === null ? null : new Date(settings.enabledAt);
+        if (enabledAt && isNaN(enabledAt.getTime())) return null;
+        return {
+            enabled: settings.enabled && enabledAt !== null,
+            enabledAt: enabledAt ? enabledAt.toISOString() : null,
+            milestones: settings.milestones,
+            dailyDigest: settings.dailyDigest,
+            digestTime: settings.digestTime,
+            lastDay: settings.lastDay
+        };
+    };
+
+    test('Should round-trip notification settings and reject invalid ones', () => {
+        const exported = {
+            enabled: true,
+            enabledAt: '2026-10-01T12:00:00.000Z',
+            milestones: true,
+            dailyDigest: false,
+            digestTime: '07:30',
+            lastDay: true
+        };
+
+        assert.deepStrictEqual(sanitizeNotificationSettings(JSON.parse(JSON.stringify(exported))), exported);
+        assert.strictEqual(sanitizeNotificationSettings({ ...exported, digestTime: '25:00' }), null, 'Invalid digest time');
+        assert.strictEqual(sanitizeNotificationSettings({ ...exported, lastDay: 'yes' }), null, 'Non-boolean option');
+    });
+
+    test('Should reject documents from newer versions or other apps', () => {
+        assert.strictEqual(migrateSettingsDocument({ app: SETTINGS_APP_ID, version: 2 }).error,
+            'Import failed: settings version 2 is newer than this page supports');
+        assert.strictEqual(migrateSettingsDocument({ app: 'other', version: 1 }).error, 'Import failed: not a settings file');
+        assert.strictEqual(migrateSettingsDocument([]).error, 'Import failed: not a settings file');
+        assert.strictEqual(migrateSettingsDocument({ app: SETTINGS_APP_ID }).error,
+            'Import failed: missing or invalid settings version');
+    });
+});
+
+describe('CORE TESTS - Page Title Settings', () => {
+    // Page text logic from script.js
+    const getPageText = (settings) => {
+        const possessive = settings.ownerName ? `${settings.ownerName}'s ` : '';
+        const heading = settings.heading || `${possessive}Countdown to Retirement`;
+        return {
+            heading,
+            subtitle: settings.subtitle,
+            documentTitle: settings.documentTitle || heading,
+            description: `${possessive || 'A '}retirement countdown timer - tracking the journey to freedom`
+        };
+    };
+
+    test('Should derive the heading and document title from the owner name', () => {
+        const text = getPageText({ ownerName: 'Pat', heading: '', subtitle: 'Soon!', documentTitle: '' });
+
+        assert.strictEqual(text.heading, "Pat's Countdown to Retirement");
+        assert.strictEqual(text.documentTitle, "Pat's Countdown to Retirement", 'Tab title should follow the heading');
+        assert.strictEqual(text.description.startsWith("Pat's retirement countdown"), true);
+    });
+
+    test('Should prefer an explicit heading and document title', () => {
+        const text = getPageText({ ownerName: 'Pat', heading: 'Gone Fishing', subtitle: '', documentTitle: 'Pat retires' });
+
+        assert.strictEqual(text.heading, 'Gone Fishing');
+        assert.strictEqual(text.documentTitle, 'Pat retires');
+    });
+
+    test('Should read naturally without an owner name', () => {
+        const text = getPageText({ ownerName: '', heading: '', subtitle: '', documentTitle: '' });
+
+        assert.strictEqual(text.heading, 'Countdown to Retirement');
+        assert.strictEqual(text.description.startsWith('A retirement countdown'), true);
+    });
+});
+
+describe('CORE TESTS - Share Links', () => {
+    const THEMES = { twilight: 'Twilight', ocean: 'Ocean', sunset: 'Sunset', forest: 'Forest' };
+
+    // Share link logic from script.js (wall-clock values plus an IANA zone)
+    const buildShareLink = (countdown, theme, baseUrl) => {
+        const params = new URLSearchParams({
+            retire: countdown.retire,
+            start: countdown.start,
+            tz: countdown.timeZone,
+            title: countdown.name,
+            theme
+        });
+        return `${baseUrl}?${params}`;
+    };
+
+    const parseShareLink = (search) => {
+        const params = new URLSearchParams(search);
+        if (!params.has('retire')) return null;
+        const retire = params.get('retire');
+        if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(retire)) return { error: 'Shared link has an invalid retirement date' };
+        const start = params.get('start');
+        if (start && start >= retire.slice(0, 10)) return { error: 'Shared link has an invalid start date' };
+        const title = (params.get('title') || '').trim();
+        return {
+            retire,
+            start,
+            timeZone: params.get('tz'),
+            name: title && title.length <= 40 ? title : 'My Retirement',
+            theme: THEMES[params.get('theme')] ? params.get('theme') : 'twilight'
+        };
+    };
+
+    test('Should round-trip a countdown through a share link', () => {
+        const countdown = { retire: '2030-06-01T17:00', start: '2015-03-01', timeZone: 'Europe/London', name: "Dad's Big Day & Party" };
+
+        const link = buildShareLink(countdown, 'sunset', 'https://example.com/');
+        const parsed = parseShareLink(new URL(link).search);
+
+        assert.strictEqual(parsed.retire, countdown.retire, 'Retirement wall time should survive');
+        assert.strictEqual(parsed.start, countdown.start, 'Start date should survive');
+        assert.strictEqual(parsed.timeZone, 'Europe/London', 'Time zone should survive');
+        assert.strictEqual(parsed.name, countdown.name, 'Title with punctuation should be encoded safely');
+        assert.strictEqual(parsed.theme, 'sunset', 'Theme should survive');
+    });
+
+    test('Should ignore URLs without share parameters', () => {
+        assert.strictEqual(parseShareLink('?utm_source=mail'), null, 'Ordinary URLs are not share links');
+    });
+
+    test('Should reject malformed dates and fall back on unknown themes', () => {
+        assert.strictEqual(typeof parseShareLink('?retire=soon').error, 'string', 'Malformed retirement date is rejected');
+        assert.strictEqual(typeof parseShareLink('?retire=2030-01-01T00:00&start=2031-01-01').error, 'string', 'Start after retirement is rejected');
+        assert.strictEqual(parseShareLink('?retire=2030-01-01T00:00&theme=neon').theme, 'twilight', 'Unknown theme uses the default');
+    });
+});
+
+describe('CORE TESTS - Post-Retirement Count-Up', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+    // Count-up range logic from script.js: the day after retirement through today
+    const countReclaimedWeekdays = (retirementDay, today) => {
+        const start = new Date(retirementDay);
+        start.setDate(start.getDate() + 1);
+        const end = new Date(today);
+        end.setDate(end.getDate() + 1);
+        const counts = { workDays: 0, mondays: 0 };
+        for (const day = new Date(start); day < end; day.setDate(day.getDate() + 1)) {
+            if (day.getDay() === 0 || day.getDay() === 6) continue;
+            counts.workDays++;
+            if (day.getDay() === 1) counts.mondays++;
+        }
+        return counts;
+    };
+
+    // Anniversary logic from script.js (calendar years, clamped like month arithmetic)
+    const anniversaryDate = (retirementDay, years) => {
+        const year = retirementDay.getFullYear() + years;
+        const lastDay = new Date(year, retirementDay.getMonth() + 1, 0).getDate();
+        return new Date(year, retirementDay.getMonth(), Math.min(retirementDay.getDate(), lastDay));
+    };
+
+    test('Should count Mondays skipped starting the day after retirement', () => {
+        const friday = new Date(2026, 1, 27);
+        const nextMonday = new Date(2026, 2, 2);
+
+        const result = countReclaimedWeekdays(friday, nextMonday);
+
+        assert.strictEqual(result.mondays, 1, 'The first Monday after retirement is skipped');
+        assert.strictEqual(result.workDays, 1, 'The weekend is not a reclaimed work day');
+    });
+
+    test('Should count nothing on retirement day itself', () => {
+        const day = new Date(2026, 1, 27);
+
+        assert.strictEqual(countReclaimedWeekdays(day, day).workDays, 0, 'Retirement day was still worked');
+    });
+
+    test('Should count down to the next anniversary in calendar days', () => {
+        const retirementDay = new Date(2026, 1, 27);
+        const today = new Date(2026, 11, 1);
+
+        const next = anniversaryDate(retirementDay, 1);
+        const daysToAnniversary = Math.round((next - today) / MS_PER_DAY);
+
+        assert.strictEqual(daysToAnniversary, 88, 'Dec 1 is 88 days before Feb 27');
+    });
+
+    test('Should clamp a leap-day retirement anniversary to Feb 28', () => {
+        const next = anniversaryDate(new Date(2028, 1, 29), 1);
+
+        assert.strictEqual(next.getMonth(), 1, 'Anniversary stays in February');
+        assert.strictEqual(next.getDate(), 28, 'Feb 29 anniversaries fall on Feb 28 in common years');
+    });
+});
+
+describe('CORE TESTS - Custom Milestones', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+    const MILESTONE_TYPES = { days: true, workdays: true, date: true };
+    const isValidDateKey = key => typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key) && !isNaN(new Date(key + 'T00:00:00').getTime());
+    const toKey = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+    // Validation logic from script.js
+    const sanitizeMilestone = (milestone) => {
+        if (!milestone || !MILESTONE_TYPES[milestone.type]) return null;
+        if (milestone.type === 'date') {
+            if (!isValidDateKey(milestone.value)) return null;
+        } else if (!Number.isInteger(milestone.value) || milestone.value < 1 || milestone.value > 18250) {
+            return null;
+        }
+        const icon = typeof milestone.icon === 'string' ? milestone.icon.trim() : '';
+        const text = typeof milestone.text === 'string' ? milestone.text.trim() : '';
+        if (!icon || [...icon].length > 8) return null;
+        if (!text || text.length > 40) return null;
+        return { type: milestone.type, value: milestone.value, icon, text };
+    };
+
+    // Work days counted back from retirement on a Monday-Friday schedule with days off
+    const workDaysToCalendarDays = (workDays, endDate, daysOff) => {
+        const day = new Date(endDate);
+        let remaining = 0;
+        for (let daysBefore = 1; daysBefore <= 36500; daysBefore++) {
+            day.setDate(day.getDate() - 1);
+            const isWorkDay = day.getDay() !== 0 && day.getDay() !== 6;
+            if (isWorkDay && !daysOff.has(toKey(day))) remaining++;
+            if (remaining === workDays) return daysBefore;
+        }
+        return null;
+    };
+
+    const getMarkingPosition = (daysBefore, maxDays) => 100 - 98 * Math.log1p(daysBefore) / Math.log1p(maxDays);
+
+    test('Should accept day, work-day and date thresholds', () => {
+        assert.notStrictEqual(sanitizeMilestone({ type: 'days', value: 100, icon: '💯', text: 'Double Digits' }), null);
+        assert.notStrictEqual(sanitizeMilestone({ type: 'workdays', value: 20, icon: '🏁', text: 'Last month' }), null);
+        assert.notStrictEqual(sanitizeMilestone({ type: 'date', value: '2030-01-01', icon: '🎆', text: 'New Year' }), null);
+    });
+
+    test('Should reject milestones without a usable threshold, icon or text', () => {
+        assert.strictEqual(sanitizeMilestone({ type: 'days', value: 0, icon: '⭐', text: 'Zero' }), null, 'Zero days is retirement itself');
+        assert.strictEqual(sanitizeMilestone({ type: 'days', value: 1.5, icon: '⭐', text: 'Half' }), null, 'Fractional days rejected');
+        assert.strictEqual(sanitizeMilestone({ type: 'date', value: 'soon', icon: '⭐', text: 'Soon' }), null, 'Invalid date rejected');
+        assert.strictEqual(sanitizeMilestone({ type: 'weeks', value: 2, icon: '⭐', text: 'Two' }), null, 'Unknown type rejected');
+        assert.strictEqual(sanitizeMilestone({ type: 'days', value: 5, icon: ' ', text: 'No icon' }), null, 'Icon required');
+        assert.strictEqual(sanitizeMilestone({ type: 'days', value: 5, icon: '⭐', text: 'x'.repeat(41) }), null, 'Text too long');
+    });
+
+    test('Should resolve a date milestone to days before retirement', () => {
+        const endDate = new Date(2027, 1, 26);
+        const daysBefore = Math.round((endDate - new Date('2027-01-01T00:00:00')) / MS_PER_DAY);
+
+        assert.strictEqual(daysBefore, 56, 'Jan 1 is 56 days before Feb 26');
+    });
+
+    test('Should count work days back from retirement, skipping weekends and days off', () => {
+        const endDate = new Date(2026, 10, 30); // Monday
+
+        assert.strictEqual(workDaysToCalendarDays(5, endDate, new Set()), 7, 'Five work days remain from the previous Monday');
+        assert.strictEqual(workDaysToCalendarDays(5, endDate, new Set(['2026-11-26', '2026-11-27'])), 11,
+            'Thanksgiving and the day after push the milestone back');
+    });
+
+    test('Should place thermometer markings in order from the top of the tube', () => {
+        const positions = [730, 365, 100, 7, 1].map(days => getMarkingPosition(days, 730));
+
+        assert.strictEqual(Math.round(positions[0]), 2, 'Furthest milestone sits at the top');
+        positions.slice(1).forEach((position, index) => {
+            assert.strictEqual(position > positions[index], true, 'Nearer milestones sit lower');
+        });
+        assert.strictEqual(positions[4] < 100, true, 'One day left stays above the zero mark');
+    });
+});
+
+describe('CORE TESTS - Calendar Export', () => {
+    // Shared with the page and server.js, so tested directly
+    const {
+        escapeIcsText,
+        foldIcsLine,
+        buildCalendarFile,
+        buildCalendarFeedQuery,
+        parseCalendarFeedQuery
+    } = require('./countdown-core');
+
+    const options = {
+        name: 'My Retirement',
+        retirementDate: new Date('2030-06-01T21:00:00Z'),
+        timeZone: 'America/New_York',
+        milestones: [{ daysBefore: 7, icon: '⭐', text: 'Final Week' }]
+    };
+
+    test('Should escape iCalendar text values', () => {
+        assert.strictEqual(escapeIcsText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('Should fold long lines at 75 octets without splitting characters', () => {
+        const line = 'SUMMARY:' + '🎉'.repeat(40);
+        const folded = foldIcsLine(line).split('\r\n');
+
+        assert.strictEqual(folded.length > 1, true, 'Long line should be folded');
+        folded.forEach(part => {
+            assert.strictEqual(Buffer.byteLength(part) <= 75, true, 'Each folded line should fit 75 octets');
+        });
+        assert.strictEqual(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+    });
+
+    test('Should place events on the retirement and milestone days with alarms', () => {
+        const ics = buildCalendarFile(options, new Date('2026-01-01T00:00:00Z'));
+
+        assert.strictEqual(ics.includes('DTSTART;VALUE=DATE:20300601\r\nDTEND;VALUE=DATE:20300602'), true);
+        assert.strictEqual(ics.includes('DTSTART;VALUE=DATE:20300524'), true, 'Final Week starts 7 days out');
+        assert.strictEqual(ics.includes('DTSTAMP:20260101T000000Z'), true);
+        assert.strictEqual((ics.match(/BEGIN:VEVENT/g) || []).length, 2);
+        assert.strictEqual((ics.match(/TRIGGER:/g) || []).length, 3);
+        assert.strictEqual(ics.includes('Retirement at 17:00 (America/New_York)'), true);
+    });
+
+    test('Should keep event ids stable between exports', () => {
+        const uids = (ics) => ics.match(/^UID:.*$/gm).join();
+        assert.strictEqual(uids(buildCalendarFile(options, new Date(0))), uids(buildCalendarFile(options)));
+    });
+
+    test('Should round-trip the feed query string', () => {
+        const parsed = parseCalendarFeedQuery(buildCalendarFeedQuery(options));
+
+        assert.strictEqual(parsed.name, 'My Retirement');
+        assert.strictEqual(parsed.retirementDate.toISOString(), '2030-06-01T21:00:00.000Z');
+        assert.strictEqual(parsed.timeZone, 'America/New_York');
+        assert.deepStrictEqual(parsed.milestones, options.milestones);
+    });
+
+    test('Should reject invalid feed queries', () => {
+        assert.strictEqual(typeof parseCalendarFeedQuery('tz=UTC').error, 'string', 'Missing date');
+        assert.strictEqual(typeof parseCalendarFeedQuery('retire=2030-06-01&tz=Nowhere').error, 'string', 'Bad zone');
+        assert.strictEqual(typeof parseCalendarFeedQuery('retire=2030-06-01&milestone=0%7Cx%7Cy').error, 'string', 'Bad milestone');
+    });
+});
+
+describe('CORE TESTS - Browser Notifications', () => {
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+    // Crossing instant logic from script.js (UTC retirement zone)
+    const getDaysLeftInstant = (retirementDate, daysLeft) =>
+        new Date(retirementDate.getTime() - (daysLeft + 1) * MS_PER_DAY);
+
+    // Due filtering logic from script.js and sw.js
+    const takeDueNotifications = (plan, delivered, now) =>
+        plan.filter(event => event.at <= now && !delivered.includes(event.id));
+
+    // Plan window logic from script.js
+    const inPlanWindow = (at, enabledAt, now) =>
+        at >= enabledAt && at <= new Date(now.getTime() + 14 * MS_PER_DAY);
+
+    test('Should fire a milestone when the countdown first shows that many days', () => {
+        const retirementDate = new Date('2030-06-01T17:00:00Z');
+        const at = getDaysLeftInstant(retirementDate, 100);
+        const daysShown = (time) => Math.floor(Math.floor((retirementDate - time) / 1000) / 86400);
+
+        assert.strictEqual(at.toISOString(), '2030-02-20T17:00:00.000Z');
+        assert.strictEqual(daysShown(at.getTime() + 1000), 100, 'Should show 100 days right after the crossing');
+        assert.strictEqual(daysShown(at.getTime() - 1000), 101, 'Should still show 101 days one second earlier');
+    });
+
+    test('Should only return due notifications that were not delivered', () => {
+        const plan = [
+            { id: 'a', at: 1000 },
+            { id: 'b', at: 2000 },
+            { id: 'c', at: 5000 }
+        ];
+
+        const due = takeDueNotifications(plan, ['a'], 3000);
+        assert.strictEqual(due.length, 1);
+        assert.strictEqual(due[0].id, 'b');
+        assert.strictEqual(takeDueNotifications(plan, ['a', 'b'], 3000).length, 0, 'Should not repeat delivered ids');
+    });
+
+    test('Should catch up on notifications missed while the page was closed', () => {
+        const plan = [{ id: 'digest|2030-01-01', at: 1000 }, { id: 'digest|2030-01-02', at: 2000 }];
+        const due = takeDueNotifications(plan, [], 10000);
+        assert.strictEqual(due.length, 2, 'Should deliver everything due since the last check');
+    });
+
+    test('Should send the daily digest at its time in the retirement time zone', () => {
+        const { getZonedCalendarDate, zonedTimeToDate } = require('./countdown-core');
+        // Digest instant logic from script.js
+        const getDigestInstant = (now, digestTime, timeZone) => {
+            const [hour, minute] = digestTime.split(':').map(Number);
+            const day = getZonedCalendarDate(now, timeZone);
+            return zonedTimeToDate(day.getFullYear(), day.getMonth() + 1, day.getDate(), hour, minute, timeZone);
+        };
+        const now = new Date('2026-10-19T20:00:00Z'); // Already Oct 20 in Tokyo
+
+        const viewerTimeZone = process.env.TZ;
+        process.env.TZ = 'America/Los_Angeles';
+        try {
+            assert.strictEqual(getDigestInstant(now, '09:00', 'Asia/Tokyo').toISOString(), '2026-10-20T00:00:00.000Z',
+                '09:00 on Oct 20 in Tokyo, whatever the viewer\'s zone');
+        } finally {
+            if (viewerTimeZone === undefined) delete process.env.TZ;
+            else process.env.TZ = viewerTimeZone;
+        }
+    });
+
+    test('Should skip events due before notifications were enabled', () => {
+        const enabledAt = new Date('2030-01-10T12:00:00Z');
+        const now = new Date('2030-01-11T12:00:00Z');
+
+        assert.strictEqual(inPlanWindow(new Date('2030-01-09T09:00:00Z'), enabledAt, now), false);
+        assert.strictEqual(inPlanWindow(new Date('2030-01-11T09:00:00Z'), enabledAt, now), true);
+        assert.strictEqual(inPlanWindow(new Date('2030-02-01T09:00:00Z'), enabledAt, now), false, 'Should stay within the 14-day plan');
+    });
+});
+
 describe('CORE TESTS - Milestone State Determination', () => {
     test('Should mark milestone as "achieved" when days <= threshold', () => {
         const days = 50;
@@ -1000,6 +2018,29 @@ describe('PERFORMANCE TESTS - Optimization Validation', () => {
         assert.strictEqual(shouldUpdate1, true, 'Should update on first call');
         assert.strictEqual(shouldUpdate2, false, 'Should skip update when days unchanged');
     });
+
+    test('Should reuse day-level countdown data across ticks on the same day', () => {
+        const { getCountdownDayData, getCountdownSnapshot } = require('./countdown-core');
+        const options = {
+            name: 'Retirement',
+            retirementDate: new Date('2027-06-30T17:00:00Z'),
+            startDate: null,
+            timeZone: 'America/New_York',
+            schedule: { weeks: [[0, 8, 8, 8, 8, 8, 0]], anchor: '2024-01-07' },
+            holidayCalendar: { ruleSet: 'us-federal', custom: [] },
+            milestones: [{ type: 'days', value: 100, icon: '💯', text: 'Double Digits' }]
+        };
+        const morning = new Date('2026-10-19T13:00:00Z');
+        const evening = new Date('2026-10-19T22:00:00Z');
+        const dayData = getCountdownDayData({ ...options, now: morning });
+
+        assert.strictEqual(dayData.dateKey, '2026-10-19', 'Day data is keyed by the date in the zone');
+        assert.deepStrictEqual(
+            getCountdownSnapshot({ ...options, now: evening }, dayData),
+            getCountdownSnapshot({ ...options, now: evening }),
+            'A snapshot from cached day data matches a fresh one later the same day'
+        );
+    });
 });
 
 // =============================================================================